@@ -13,7 +13,7 @@ import React from 'react';
 // so that we can perform requests more efficiently.
 // createHttpLink allows us to control how the Apollo Client makes a request. 
 // Think of it like middleware for the outbound network requests.
-import { ApolloProvider, ApolloClient, InMemoryCache, createHttpLink } from '@apollo/client';
+import { ApolloProvider, ApolloClient, InMemoryCache, split, from } from '@apollo/client';
 
 // The last thing we need to do is instruct the Apollo instance in App.js to 
 // retrieve the token stored in local storage every time we make a GraphQL 
@@ -23,6 +23,28 @@ import { ApolloProvider, ApolloClient, InMemoryCache, createHttpLink } from '@ap
 // that is stored in their localStorage.
 import { setContext } from '@apollo/client/link/context';
 
+// onError() lets us look at every error that comes back from the server before it
+// reaches our components, and try the request again if we can fix the problem.
+import { onError } from '@apollo/client/link/error';
+import { Observable } from '@apollo/client/utilities';
+
+// see utils/auth.js
+import Auth from './utils/auth';
+
+// relayStylePagination() is a ready made cache type policy for fields that return
+// Relay style connections (edges and pageInfo), like our thoughtsConnection query.
+import { relayStylePagination, getMainDefinition } from '@apollo/client/utilities';
+
+// see google docs, MERN Stack Notes, GraphQL Subscriptions
+// Subscriptions are sent over a WebSocket instead of HTTP, so the server can push new
+// data to us as soon as it happens. GraphQLWsLink sends operations over the WebSocket
+// that createClient() from graphql-ws opens to the server.
+import { GraphQLWsLink } from '@apollo/client/link/subscriptions';
+import { createClient } from 'graphql-ws';
+
+// see the httpLink below
+import { createUploadLink } from 'apollo-upload-client';
+
 
 // see google docs, MERN Stack Notes, Set Up the Main URL Routes Using React Router.
 // Enables us to use client side routing. Which means that when a user clicks on certain
@@ -43,12 +65,23 @@ import NoMatch from './pages/NoMatch';
 import SingleThought from './pages/SingleThought';
 import Profile from './pages/Profile';
 import Signup from './pages/Signup';
+import Search from './pages/Search';
+import Tag from './pages/Tag';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Settings from './pages/Settings';
+import Admin from './pages/Admin';
+import Inbox from './pages/Inbox';
 
 
 // With the code below, we first establish a new link to the GraphQL server at its /graphql 
-// endpoint with createHttpLink(). We could pass many other options and configuration settings 
+// endpoint with createUploadLink(). We could pass many other options and configuration settings 
 // into this function as well.
-const httpLink = createHttpLink({
+// createUploadLink() works just like Apollo's createHttpLink(), except that when a mutation's
+// variables have files in them, like the images attached to a thought, it sends a multipart
+// request with the files in it instead of plain JSON.
+const httpLink = createUploadLink({
   // The React environment runs 
   // at localhost:3000, and the server environment runs at localhost:3001. So if we just 
   // used /graphql, as we've done previously, the requests would go to 
@@ -92,8 +125,10 @@ const httpLink = createHttpLink({
 // to automatically set the HTTP request headers with our token. This way, our 
 // server can receive the request, use authMiddleware to check the token's validity, and allow us to 
 // continue our request if it is valid.
-const authLink = setContext((_, { headers }) => {
-  const token = localStorage.getItem('id_token');
+// If the token has expired, it's refreshed before the request is sent (see utils/auth.js),
+// which is why this function is async now.
+const authLink = setContext(async (_, { headers }) => {
+  const token = await Auth.getFreshToken();
   return {
     // set the header object to have all the other headers, and then add
     // an authorization header
@@ -110,6 +145,98 @@ const authLink = setContext((_, { headers }) => {
   };
 });
 
+// Tokens can also stop working before they expire, when the user logs out on another
+// device, or all of them at once. Any request that needs a logged in user then comes back
+// with an UNAUTHENTICATED error. When that happens, try to refresh the token and send the
+// request again, once. If the session can't be refreshed it's over, so log the user out.
+// The login mutation is left alone, since it fails with UNAUTHENTICATED for a wrong password.
+const errorLink = onError(({ graphQLErrors, operation, forward }) => {
+  const unauthenticated = graphQLErrors?.some(error => error.extensions?.code === 'UNAUTHENTICATED');
+
+  if (!unauthenticated || !Auth.getToken() || operation.operationName === 'login' || operation.getContext().retried) {
+    return;
+  }
+
+  // returning an Observable tells Apollo to use its result instead of the error
+  return new Observable(observer => {
+    let subscription;
+
+    Auth.refresh()
+      .then(token => {
+        if (!token) {
+          Auth.logout();
+          return;
+        }
+
+        // send the request again. It goes back through authLink, which picks up the new token.
+        operation.setContext({ retried: true });
+        subscription = forward(operation).subscribe(observer);
+      })
+      .catch(err => observer.error(err));
+
+    return () => subscription && subscription.unsubscribe();
+  });
+});
+
+// The WebSocket link used for subscriptions. In development the proxy in package.json only
+// forwards HTTP requests, so we connect straight to the server on localhost:3001. In
+// production the server and the React files share a host, so we use the page's own host,
+// with wss:// instead of ws:// when the page was loaded over https.
+// A WebSocket can't have headers set on it like authLink does above, so the token is sent
+// in connectionParams when the socket connects instead. It's a function so the token is
+// read from localStorage again (and refreshed if it expired) every time the socket (re)connects.
+// The server closes the socket with code 4403 when the token expires or the session is
+// revoked (see server/utils/socketAuth.js), and graphql-ws connects again on its own. The
+// token is refreshed before that, and if the session can't be refreshed it's over, so the
+// user is logged out, the same as errorLink does.
+const SOCKET_FORBIDDEN = 4403;
+let socketNeedsRefresh = false;
+
+const wsLink = new GraphQLWsLink(
+  createClient({
+    url:
+      process.env.NODE_ENV === 'development'
+        ? 'ws://localhost:3001/graphql'
+        : `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/graphql`,
+    connectionParams: async () => {
+      let token;
+
+      if (socketNeedsRefresh && Auth.getToken()) {
+        socketNeedsRefresh = false;
+        token = await Auth.refresh().catch(() => Auth.getToken());
+
+        if (!token) {
+          Auth.logout();
+        }
+      } else {
+        token = await Auth.getFreshToken();
+      }
+
+      return { authorization: token ? `Bearer ${token}` : '' };
+    },
+    on: {
+      closed: event => {
+        if (event?.code === SOCKET_FORBIDDEN) {
+          socketNeedsRefresh = true;
+        }
+      }
+    }
+  })
+);
+
+// split() sends each operation down one of two links. If the function returns true, the
+// operation goes to the first link, otherwise the second. Subscriptions go over the
+// WebSocket, and queries and mutations keep going over HTTP with the auth header.
+// from() chains links together in order, so errors from the server pass through errorLink.
+const splitLink = split(
+  ({ query }) => {
+    const definition = getMainDefinition(query);
+    return definition.kind === 'OperationDefinition' && definition.operation === 'subscription';
+  },
+  wsLink,
+  from([errorLink, authLink, httpLink])
+);
+
 // After we create the link, we use the ApolloClient() constructor to instantiate the Apollo 
 // Client instance and create the connection to the API endpoint.
 const client = new ApolloClient({
@@ -121,10 +248,29 @@ const client = new ApolloClient({
   // This way, our server can receive the request, check the token's validity since all 
   // requests are now set to have the authorization header, and allow us to 
   // continue our request if it is.
-  link: authLink.concat(httpLink),
-  // We also instantiate a new cache object using new InMemoryCache(). We could customize 
-  // this to the application, but by default, it works well for this purpose.
-  cache: new InMemoryCache(),
+  // Subscriptions are split off to the WebSocket link first (see splitLink above).
+  link: splitLink,
+  // We also instantiate a new cache object using new InMemoryCache(). By default, it works 
+  // well for most of our queries, but paginated queries need to be customized.
+  // By default, Apollo caches a query's result separately for every combination of 
+  // arguments, so each page of thoughtsConnection would replace the last one. The type 
+  // policy below tells the cache to only keep a separate list per username, and to merge 
+  // every page that comes back from fetchMore() onto the end of that list.
+  cache: new InMemoryCache({
+    typePolicies: {
+      Query: {
+        fields: {
+          thoughtsConnection: relayStylePagination(['username']),
+          // the feed has no arguments besides the page ones, so it's one list
+          feed: relayStylePagination(),
+          // a separate list for each tag
+          thoughtsByTag: relayStylePagination(['tag']),
+          // a separate list for each conversation
+          messages: relayStylePagination(['conversationId'])
+        }
+      }
+    }
+  }),
 });
 
 function App() {
@@ -158,6 +304,11 @@ function App() {
               <Route exact path="/" component={Home} />
               <Route exact path="/login" component={Login} />
               <Route exact path="/signup" component={Signup} />
+              {/* the pages linked to from the emails the server sends. The :token
+              in each is the one time token from the link. */}
+              <Route exact path="/forgot-password" component={ForgotPassword} />
+              <Route exact path="/reset-password/:token" component={ResetPassword} />
+              <Route exact path="/verify/:token" component={VerifyEmail} />
               {/* the :username sets up the profile path to accept
               a parameter. This parameter would have the username of the desired
               user's profile.  
@@ -167,6 +318,14 @@ function App() {
               information.*/}
               <Route exact path="/profile/:username?" component={Profile} />
               <Route exact path="/thought/:id" component={SingleThought} />
+              <Route exact path="/settings" component={Settings} />
+              <Route exact path="/admin" component={Admin} />
+              {/* the conversation is optional, like the username on /profile */}
+              <Route exact path="/inbox/:conversationId?" component={Inbox} />
+              {/* the search words are read from the URL's query string, like
+              /search?q=deep, so the route itself doesn't need any parameters. */}
+              <Route exact path="/search" component={Search} />
+              <Route exact path="/tag/:tag" component={Tag} />
 
               {/* We've wrapped all of the Route components in a Switch component 
               and included one more Route at the end to render the NoMatch 
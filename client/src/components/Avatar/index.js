@@ -0,0 +1,21 @@
+import React from 'react';
+
+// A user's avatar, shown next to their username. Users who haven't uploaded one get
+// the first letter of their username in a circle instead, so every user has something.
+// size can be 'lg' for the big avatar on the profile page, or left out for the small
+// one that sits in a line of text.
+const Avatar = ({ username, avatarUrl, size }) => {
+  const className = `avatar ${size === 'lg' ? 'avatar-lg' : ''} mr-1`;
+
+  if (avatarUrl) {
+    return <img className={className} src={avatarUrl} alt={`${username}'s avatar`} />;
+  }
+
+  return (
+    <span className={className} aria-hidden="true">
+      {(username || '?')[0].toUpperCase()}
+    </span>
+  );
+};
+
+export default Avatar;
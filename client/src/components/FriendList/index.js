@@ -1,6 +1,8 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 
+import Avatar from '../Avatar';
+
 // The friends list that renders on a user's profile. We plan on passing three props 
 // to the FriendList component: the username whose friends these belong to, the 
 // friend count, and the actual array of friends. With this data, we can display a 
@@ -19,7 +21,10 @@ const FriendList = ({ friendCount, username, friends }) => {
       {friends.map(friend => (
           // each friend renders
         <button className="btn w-100 display-block mb-2" key={friend._id}>
-          <Link to={`/profile/${friend.username}`}>{friend.username}</Link>
+          <Link to={`/profile/${friend.username}`}>
+            <Avatar username={friend.username} avatarUrl={friend.avatarUrl} />
+            {friend.username}
+          </Link>
         </button>
       ))}
     </div>
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+import { useMutation } from '@apollo/client';
+import { ACCEPT_FRIEND_REQUEST, DECLINE_FRIEND_REQUEST } from '../../utils/mutations';
+import { QUERY_FRIEND_REQUESTS } from '../../utils/queries';
+
+// The "Pending requests" panel on the logged in user's own profile. Lists the
+// users who have sent a friend request, with buttons to accept or decline each one.
+// The accept and decline mutations return the logged in user, so their friend list
+// updates in the cache by itself. The list of requests is just an array of users
+// without an id of its own though, so we refetch it after either mutation runs
+// instead of updating it by hand.
+// Accepting a request also changes whose thoughts belong in the friends feed on the
+// homepage, so the cached feed is thrown out and will be loaded fresh next time.
+const FriendRequests = ({ requests }) => {
+  const [acceptFriendRequest] = useMutation(ACCEPT_FRIEND_REQUEST, {
+    refetchQueries: [{ query: QUERY_FRIEND_REQUESTS }],
+    update: cache => cache.evict({ id: 'ROOT_QUERY', fieldName: 'feed' })
+  });
+  const [declineFriendRequest] = useMutation(DECLINE_FRIEND_REQUEST, {
+    refetchQueries: [{ query: QUERY_FRIEND_REQUESTS }]
+  });
+
+  // nothing to show if nobody is waiting on an answer
+  if (!requests || !requests.length) {
+    return null;
+  }
+
+  const handleAccept = async id => {
+    try {
+      await acceptFriendRequest({ variables: { id } });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const handleDecline = async id => {
+    try {
+      await declineFriendRequest({ variables: { id } });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <h5>Pending requests</h5>
+      {requests.map(request => (
+        <div className="mb-2" key={request._id}>
+          <Link to={`/profile/${request.username}`} style={{ fontWeight: 700 }}>
+            {request.username}
+          </Link>
+          <div>
+            <button className="btn" onClick={() => handleAccept(request._id)}>
+              Accept
+            </button>
+            <button className="btn ml-2" onClick={() => handleDecline(request._id)}>
+              Decline
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FriendRequests;
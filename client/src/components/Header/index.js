@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 
 // With React Router, however, you can't simply use <a> elements. 
 // An element like <a href="/login"> would cause the browser to refresh 
@@ -6,24 +6,59 @@ import React from 'react';
 // whole purpose of React and its single-page goodness. Instead, you can use 
 // React Router's Link component. This component will change the URL while 
 // staying on the same page.
-import { Link } from 'react-router-dom';
+import { Link, useHistory } from 'react-router-dom';
 
 // use the Auth instance to check if the user is logged in by checking if there is an
 // active JWT in their localStorage
 import Auth from '../../utils/auth';
 
+// the unread notification count and dropdown, for logged in users
+import Notifications from '../Notifications';
+
+// the logged in user's role, to decide whether to show the Admin link
+import { useQuery } from '@apollo/client';
+import { QUERY_ME_BASIC, QUERY_UNREAD_MESSAGE_COUNT } from '../../utils/queries';
+
 
 const Header = () => {
 
+  // what's typed into the search box
+  const [searchText, setSearchText] = useState('');
+  const history = useHistory();
+
+  const { data } = useQuery(QUERY_ME_BASIC, { skip: !Auth.loggedIn() });
+  const isModerator = ['moderator', 'admin'].includes(data?.me?.role);
+
+  // how many direct messages are waiting, checked again every 30 seconds since new
+  // messages aren't pushed to the browser like notifications are
+  const { data: messageData } = useQuery(QUERY_UNREAD_MESSAGE_COUNT, {
+    skip: !Auth.loggedIn(),
+    pollInterval: 30000
+  });
+  const unreadMessages = messageData?.unreadMessageCount || 0;
+
+  // when the search box is submitted, go to the Search page with what was typed
+  // in the URL's query string. encodeURIComponent escapes characters like & and #
+  // that would otherwise break the URL.
+  const handleSearch = event => {
+    event.preventDefault();
+
+    if (!searchText.trim()) {
+      return;
+    }
+
+    history.push(`/search?q=${encodeURIComponent(searchText.trim())}`);
+  };
+
   // when the logout a element is clicked we're going to create a function 
   // that executes when clicked to run the .logout() method we created 
   // in the AuthService class.
   const logout = event => {
     // With the event.preventDefault(), we're actually overriding the <a> 
     // element's default nature of having the browser load a different resource. 
-    // Instead, we execute the .logout() method, which will remove the token from 
-    // localStorage and then refresh the application by taking the user back 
-    // to the homepage.
+    // Instead, we execute the .logout() method, which will end the session on the 
+    // server, remove the token from localStorage and then refresh the application by 
+    // taking the user back to the homepage.
     event.preventDefault();
     Auth.logout();
   };
@@ -36,12 +71,30 @@ const Header = () => {
           <h1>Deep Thoughts</h1>
         </Link>
 
+        <form className="flex-row align-center" onSubmit={handleSearch}>
+          <input
+            className="form-input"
+            type="search"
+            placeholder="Search Deep Thoughts"
+            value={searchText}
+            onChange={event => setSearchText(event.target.value)}
+          />
+          <button className="btn ml-2" type="submit">
+            Search
+          </button>
+        </form>
+
         <nav className="text-center">
           {/* if logged in */}
           {Auth.loggedIn() ? (
             <>
             {/* profile with no username specified routes to the user's profile */}
               <Link to="/profile">Me</Link>
+              <Notifications />
+              <Link to="/inbox">Inbox{unreadMessages ? ` (${unreadMessages})` : ''}</Link>
+              <Link to="/settings">Settings</Link>
+              {/* the moderators' dashboard, see pages/Admin.js */}
+              {isModerator && <Link to="/admin">Admin</Link>}
               <a href="/" onClick={logout}>
                 Logout
               </a>
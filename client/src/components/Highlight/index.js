@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Renders a piece of text with some parts of it highlighted, like the search words
+// in a search result snippet. highlights is a list of { start, end } positions in the
+// text, sorted from first to last. The text is split into plain pieces and <mark>
+// pieces, so React escapes all of it and we never have to render raw HTML.
+const Highlight = ({ text, highlights }) => {
+  if (!highlights || !highlights.length) {
+    return <>{text}</>;
+  }
+
+  const pieces = [];
+  let position = 0;
+
+  highlights.forEach(({ start, end }, i) => {
+    // the plain text before this highlight
+    if (start > position) {
+      pieces.push(text.slice(position, start));
+    }
+
+    pieces.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+
+  // whatever is left after the last highlight
+  pieces.push(text.slice(position));
+
+  return <>{pieces}</>;
+};
+
+export default Highlight;
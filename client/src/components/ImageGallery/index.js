@@ -0,0 +1,29 @@
+import React from 'react';
+
+// The images attached to a thought. In a list of thoughts, only the small square
+// thumbnails are shown, so the page doesn't have to load every full size image.
+// On the thought's own page (SingleThought), pass in full to show the full size
+// images instead. Either way, clicking an image opens the full size one in a new tab.
+const ImageGallery = ({ images, full }) => {
+  if (!images || !images.length) {
+    return null;
+  }
+
+  return (
+    <div className={`image-gallery mb-3 ${full ? 'image-gallery-full' : ''}`}>
+      {images.map((image, i) => (
+        // images don't have their own _id, but they never change order on a thought
+        <a key={i} href={image.url} target="_blank" rel="noopener noreferrer">
+          {full ? (
+            // the width and height let the browser leave room for the image before it loads
+            <img src={image.url} width={image.width} height={image.height} alt={`attachment ${i + 1}`} />
+          ) : (
+            <img src={image.thumbnailUrl} alt={`attachment ${i + 1}`} />
+          )}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default ImageGallery;
@@ -0,0 +1,86 @@
+import React from 'react';
+
+import { useMutation } from '@apollo/client';
+import { LIKE_THOUGHT, UNLIKE_THOUGHT, LIKE_REACTION, UNLIKE_REACTION } from '../../utils/mutations';
+
+// see utils/auth.js
+import Auth from '../../utils/auth';
+
+// A heart that shows how many users liked a thought or reaction, and lets the logged
+// in user like or unlike it. Pass in a thought to like the thought, or a reaction along
+// with the id of the thought it's on and all of that thought's reactions to like the reaction.
+// The buttons use an optimisticResponse, which is the result we expect the server to send
+// back. Apollo writes it to the cache right away, so the heart fills in as soon as it's
+// clicked instead of waiting for the server. When the real result arrives it replaces the
+// optimistic one, and if the mutation fails Apollo throws the optimistic one away.
+const LikeButton = ({ thought, thoughtId, reaction, reactions }) => {
+    const item = reaction || thought;
+
+    const [likeThought] = useMutation(LIKE_THOUGHT);
+    const [unlikeThought] = useMutation(UNLIKE_THOUGHT);
+    const [likeReaction] = useMutation(LIKE_REACTION);
+    const [unlikeReaction] = useMutation(UNLIKE_REACTION);
+
+    const liked = !!item.likedByMe;
+    const likeCount = item.likeCount || 0;
+
+    // what the thought or reaction will look like once the server is done
+    const expected = {
+        likeCount: likeCount + (liked ? -1 : 1),
+        likedByMe: !liked
+    };
+
+    const handleClick = async () => {
+        try {
+            if (reaction) {
+                // the reaction mutations return the whole reactions array of the thought,
+                // so the optimistic one has to include every reaction, not just this one,
+                // or the others would disappear from the cached thought until the server answered.
+                const mutation = liked ? unlikeReaction : likeReaction;
+                const field = liked ? 'unlikeReaction' : 'likeReaction';
+
+                await mutation({
+                    variables: { thoughtId, reactionId: reaction._id },
+                    optimisticResponse: {
+                        [field]: {
+                            __typename: 'Thought',
+                            _id: thoughtId,
+                            reactions: reactions.map(({ _id, likeCount, likedByMe }) => ({
+                                __typename: 'Reaction',
+                                _id,
+                                ...(_id === reaction._id ? expected : { likeCount, likedByMe })
+                            }))
+                        }
+                    }
+                });
+            } else {
+                const mutation = liked ? unlikeThought : likeThought;
+                const field = liked ? 'unlikeThought' : 'likeThought';
+
+                await mutation({
+                    variables: { thoughtId: thought._id },
+                    optimisticResponse: {
+                        [field]: { __typename: 'Thought', _id: thought._id, ...expected }
+                    }
+                });
+            }
+        }
+        catch (e) {
+            console.error(e);
+        }
+    };
+
+    // logged out users can see the likes, but can't like anything
+    return (
+        <button
+        className="btn"
+        type="button"
+        disabled={!Auth.loggedIn()}
+        onClick={handleClick}
+        >
+            {liked ? '♥' : '♡'} {likeCount}
+        </button>
+    );
+};
+
+export default LikeButton;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+
+import { useMutation } from '@apollo/client';
+import { SEND_MESSAGE } from '../../utils/mutations';
+import { QUERY_CONVERSATIONS } from '../../utils/queries';
+import errorMessage from '../../utils/errorMessage';
+
+// the same limit as a thought, and the server's Message model
+const MAX_LENGTH = 280;
+
+// The box for writing a direct message to toUserId, with the same character counter
+// as ThoughtForm. onSent is called with the message once it's sent, which the Inbox
+// uses to open the conversation when it's a new one.
+const MessageForm = ({ toUserId, onSent }) => {
+  const [body, setBody] = useState('');
+  const [characterCount, setCharacterCount] = useState(0);
+
+  // the inbox is re-ordered by the new message, and the open conversation's messages
+  // are loaded again with it at the bottom. 'messages' is the name of QUERY_MESSAGES,
+  // which refetches it with whichever conversation is open.
+  const [sendMessage, { error }] = useMutation(SEND_MESSAGE, {
+    refetchQueries: [{ query: QUERY_CONVERSATIONS }, 'messages']
+  });
+
+  // stops updating once the limit is reached, see ThoughtForm
+  const handleChange = event => {
+    if (event.target.value.length <= MAX_LENGTH) {
+      setBody(event.target.value);
+      setCharacterCount(event.target.value.length);
+    }
+  };
+
+  const handleFormSubmit = async event => {
+    event.preventDefault();
+
+    try {
+      const { data } = await sendMessage({
+        variables: { toUserId, body }
+      });
+
+      setBody('');
+      setCharacterCount(0);
+
+      if (onSent) {
+        onSent(data.sendMessage);
+      }
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return (
+    <div>
+      <p className={`m-0 ${characterCount === MAX_LENGTH || error ? 'text-error' : ''}`}>
+        Character Count: {characterCount}/{MAX_LENGTH}
+        {/* says how long to wait when the user is sending too many, see ThoughtForm */}
+        {error && <span className="ml-2">{errorMessage(error, 'Something went wrong...')}</span>}
+      </p>
+      <form
+        className="flex-row justify-center justify-space-between-md align-stretch"
+        onSubmit={handleFormSubmit}
+      >
+        <textarea
+          placeholder="Write a message..."
+          value={body}
+          className="form-input col-12 col-md-9"
+          onChange={handleChange}
+        ></textarea>
+        <button className="btn col-12 col-md-3" type="submit">
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default MessageForm;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+
+import { useQuery, useMutation, useSubscription } from '@apollo/client';
+import { QUERY_NOTIFICATIONS } from '../../utils/queries';
+import { MARK_NOTIFICATIONS_READ } from '../../utils/mutations';
+import { NOTIFICATION_RECEIVED } from '../../utils/subscriptions';
+
+// the text and link for each type of notification
+const describe = notification => {
+  const { type, actorUsername, thoughtId } = notification;
+
+  switch (type) {
+    case 'REACTION':
+      return { text: `${actorUsername} reacted to your thought`, to: `/thought/${thoughtId}` };
+    case 'REPLY':
+      return { text: `${actorUsername} replied to your reaction`, to: `/thought/${thoughtId}` };
+    case 'MENTION':
+      return { text: `${actorUsername} mentioned you`, to: `/thought/${thoughtId}` };
+    case 'FRIEND_REQUEST':
+      return { text: `${actorUsername} sent you a friend request`, to: '/profile' };
+    case 'FRIEND_ACCEPTED':
+      return { text: `${actorUsername} accepted your friend request`, to: `/profile/${actorUsername}` };
+    default:
+      return { text: `New activity from ${actorUsername}`, to: `/profile/${actorUsername}` };
+  }
+};
+
+// The notifications link in the Header. Shows how many unread notifications the logged
+// in user has, and opens a dropdown with their latest notifications when clicked.
+// Opening the dropdown marks everything as read.
+const Notifications = () => {
+  const [open, setOpen] = useState(false);
+
+  // only the unread ones, for the count
+  const { data: unreadData } = useQuery(QUERY_NOTIFICATIONS, {
+    variables: { unreadOnly: true }
+  });
+
+  // all of the recent ones, for the dropdown. Skipped until the dropdown is opened,
+  // and always asks the server so it doesn't show an old list from the cache.
+  const { loading, data } = useQuery(QUERY_NOTIFICATIONS, {
+    skip: !open,
+    fetchPolicy: 'cache-and-network'
+  });
+
+  // the notifications that get marked as read update themselves in the cache, since
+  // they come back with their _id. The cached list of unread ones is just an array
+  // without an id though, so we empty it by hand.
+  const [markNotificationsRead] = useMutation(MARK_NOTIFICATIONS_READ, {
+    update(cache) {
+      cache.writeQuery({
+        query: QUERY_NOTIFICATIONS,
+        variables: { unreadOnly: true },
+        data: { notifications: [] }
+      });
+    }
+  });
+
+  // the server sends each new notification as soon as it's created. The cached lists
+  // of notifications are arrays without an id, so add it to the top of each by hand,
+  // which updates the count and the dropdown if it's open.
+  useSubscription(NOTIFICATION_RECEIVED, {
+    onSubscriptionData: ({ client, subscriptionData }) => {
+      const notification = subscriptionData.data?.notificationReceived;
+
+      if (!notification) {
+        return;
+      }
+
+      [{ unreadOnly: true }, {}].forEach(variables => {
+        const data = client.cache.readQuery({ query: QUERY_NOTIFICATIONS, variables });
+
+        if (data) {
+          client.cache.writeQuery({
+            query: QUERY_NOTIFICATIONS,
+            variables,
+            data: { notifications: [notification, ...data.notifications] }
+          });
+        }
+      });
+    }
+  });
+
+  const unreadCount = unreadData?.notifications.length || 0;
+  const notifications = data?.notifications || [];
+
+  const toggle = async event => {
+    event.preventDefault();
+    setOpen(!open);
+
+    if (!open && unreadCount) {
+      try {
+        await markNotificationsRead();
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  };
+
+  return (
+    <span style={{ position: 'relative' }}>
+      <a href="/notifications" onClick={toggle}>
+        Notifications{unreadCount ? ` (${unreadCount})` : ''}
+      </a>
+      {open && (
+        <div
+          className="card bg-light"
+          style={{ position: 'absolute', right: 0, zIndex: 1, width: '300px', textAlign: 'left' }}
+        >
+          <div className="card-body">
+            {loading && !notifications.length ? (
+              <div>Loading...</div>
+            ) : !notifications.length ? (
+              <div>No notifications yet</div>
+            ) : (
+              notifications.map(notification => {
+                const { text, to } = describe(notification);
+
+                return (
+                  <p className="mb-2" key={notification._id}>
+                    <Link
+                      to={to}
+                      onClick={() => setOpen(false)}
+                      style={{ fontWeight: notification.read ? 400 : 700 }}
+                    >
+                      {text}
+                    </Link>{' '}
+                    <small>{notification.createdAt}</small>
+                  </p>
+                );
+              })
+            )}
+          </div>
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+import Avatar from '../Avatar';
+
+// The card at the top of a profile with the user's avatar and everything they've filled
+// in about themselves on the settings page. Any part of the profile they left empty
+// simply isn't shown.
+const ProfileCard = ({ user }) => {
+  return (
+    <div className="card mb-3">
+      <div className="card-body flex-row align-center">
+        <Avatar username={user.username} avatarUrl={user.avatarUrl} size="lg" />
+        <div className="ml-3">
+          <h3 className="mb-0">{user.displayName || user.username}</h3>
+          {user.displayName && <p className="m-0">@{user.username}</p>}
+          {user.bio && <p className="mt-2 mb-2">{user.bio}</p>}
+          <p className="m-0">
+            {user.location && <span className="mr-3">{user.location}</span>}
+            {/* rel="noopener noreferrer" keeps the other site from getting access
+            to this page through the new tab it opens in */}
+            {user.website && (
+              <a href={user.website} target="_blank" rel="noopener noreferrer" className="mr-3">
+                {user.website.replace(/^https?:\/\//, '')}
+              </a>
+            )}
+            {user.friendCount} {user.friendCount === 1 ? 'friend' : 'friends'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileCard;
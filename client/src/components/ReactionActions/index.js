@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+
+import { useMutation } from '@apollo/client';
+import { UPDATE_REACTION, REMOVE_REACTION } from '../../utils/mutations';
+
+// see utils/auth.js
+import Auth from '../../utils/auth';
+
+// see ThoughtActions for more comments.
+// Edit and delete controls for a single reaction in the ReactionList.
+// The author of the reaction can edit or delete it. The author of the thought
+// it was left on can only delete it, so they can clean up abusive replies.
+// Neither mutation needs a cache update function, because both return the
+// parent thought with its updated reactions array, just like addReaction.
+const ReactionActions = ({ thoughtId, thoughtUsername, reaction }) => {
+    const [editing, setEditing] = useState(false);
+    const [reactionBody, setBody] = useState('');
+
+    const [updateReaction, { error: updateError }] = useMutation(UPDATE_REACTION);
+    const [removeReaction, { error: removeError }] = useMutation(REMOVE_REACTION);
+
+    if (!Auth.loggedIn()) {
+        return null;
+    }
+
+    const { username } = Auth.getProfile().data;
+    const canEdit = username === reaction.username;
+    const canRemove = canEdit || username === thoughtUsername;
+
+    if (!canRemove) {
+        return null;
+    }
+
+    // same 280 character limit as ReactionForm.
+    const handleChange = event => {
+        if (event.target.value.length <= 280) {
+            setBody(event.target.value);
+        }
+    };
+
+    const handleEditSubmit = async event => {
+        event.preventDefault();
+
+        try {
+            await updateReaction({
+                variables: { thoughtId, reactionId: reaction._id, reactionBody }
+            });
+
+            setEditing(false);
+        }
+        catch (e) {
+            console.error(e);
+        }
+    };
+
+    const handleRemove = async () => {
+        if (!window.confirm('Delete this reaction?')) {
+            return;
+        }
+
+        try {
+            await removeReaction({
+                variables: { thoughtId, reactionId: reaction._id }
+            });
+        }
+        catch (e) {
+            console.error(e);
+        }
+    };
+
+    if (editing) {
+        return (
+            <div className="mt-2">
+                <p className={`m-0 ${reactionBody.length === 280 || updateError ? 'text-error' : ''}`}>
+                    Character Count: {reactionBody.length}/280
+                    {updateError && <span className="ml-2">Something went wrong...</span>}
+                </p>
+                <form
+                className="flex-row justify-center justify-space-between-md align-stretch"
+                onSubmit={handleEditSubmit}
+                >
+                    <textarea
+                        value={reactionBody}
+                        className="form-input col-12 col-md-9"
+                        onChange={handleChange}
+                    ></textarea>
+                    <div className="col-12 col-md-3">
+                        <button className="btn w-100" type="submit">
+                        Save
+                        </button>
+                        <button className="btn w-100 mt-1" type="button" onClick={() => setEditing(false)}>
+                        Cancel
+                        </button>
+                    </div>
+                </form>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mt-2">
+            {canEdit && (
+                <button
+                className="btn"
+                type="button"
+                onClick={() => {
+                    setBody(reaction.reactionBody);
+                    setEditing(true);
+                }}
+                >
+                Edit
+                </button>
+            )}
+            <button className={`btn ${canEdit ? 'ml-2' : ''}`} type="button" onClick={handleRemove}>
+            Delete
+            </button>
+            {removeError && <span className="ml-2 text-error">Something went wrong...</span>}
+        </div>
+    );
+};
+
+export default ReactionActions;
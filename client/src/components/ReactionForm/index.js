@@ -3,6 +3,9 @@ import React, { useState } from 'react';
 import { useMutation } from '@apollo/client';
 import { ADD_REACTION } from '../../utils/mutations';
 
+// shows how long to wait when the server says to slow down
+import errorMessage from '../../utils/errorMessage';
+
 // see ThoughtForm for more comments.
 // component that captures input for reactions
 // and adds the reactions to user's thoughts.
@@ -12,7 +15,10 @@ import { ADD_REACTION } from '../../utils/mutations';
 // returns the parent thought object that includes the updated reactions 
 // array as a property. If the mutation returned the reaction object instead, 
 // then we'd have another situation in which the cache would need a manual update.
-const ReactionForm = ({ thoughtId }) => {
+// ReactionList also opens this form under a reaction when the user clicks "Reply".
+// It passes in that reaction's id as parentReactionId, so the new reaction is posted as
+// a reply to it, and an onSubmit function to run afterwards, which closes the form.
+const ReactionForm = ({ thoughtId, parentReactionId, onSubmit }) => {
 
     // prepare the mutation function and destructure the error status of the
     // request.
@@ -45,12 +51,16 @@ const ReactionForm = ({ thoughtId }) => {
                 // test the error message by trying to submit the form without 
                 // typing anything in the <textarea> element. The mutation 
                 // should fail, because the $reactionBody parameter is required.
-              variables: { reactionBody, thoughtId }
+              variables: { reactionBody, thoughtId, parentReactionId }
             });
         
             // clear state for form fields and value.
             setBody('');
             setCharacterCount(0);
+
+            if (onSubmit) {
+                onSubmit();
+            }
         } 
         catch (e) {
             console.error(e);
@@ -62,12 +72,12 @@ const ReactionForm = ({ thoughtId }) => {
         <div>
         <p className={`m-0 ${characterCount === 280 || error ? 'text-error' : ''}`}>
             Character Count: {characterCount}/280
-            {error && <span className="ml-2">Something went wrong...</span>}
+            {error && <span className="ml-2">{errorMessage(error, 'Something went wrong...')}</span>}
         </p>
         <form className="flex-row justify-center justify-space-between-md align-stretch" onSubmit={handleFormSubmit}>
             <textarea
             value={reactionBody}
-            placeholder="Leave a reaction to this thought..."
+            placeholder={parentReactionId ? 'Reply to this reaction...' : 'Leave a reaction to this thought...'}
             className="form-input col-12 col-md-9"
             onChange={handleChange}
             ></textarea>
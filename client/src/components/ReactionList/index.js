@@ -1,15 +1,129 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 
+// edit and delete buttons for each reaction. Which ones show up depends on
+// whether the logged in user wrote the reaction or the thought.
+import ReactionActions from '../ReactionActions';
+
+// turns #tags and @mentions in the reaction's text into links
+import ThoughtText from '../ThoughtText';
+
+// the heart for liking each reaction
+import LikeButton from '../LikeButton';
+
+// opens under a reaction when the user clicks "Reply"
+import ReactionForm from '../ReactionForm';
+
+// the author's picture next to their name
+import Avatar from '../Avatar';
+
+// lets users report a reaction to the moderators
+import ReportButton from '../ReportButton';
+
+// see utils/auth.js
+import Auth from '../../utils/auth';
+
+// how many replies deep a thread can go, the same as MAX_REPLY_DEPTH on the server.
+// Reactions at this depth don't get a "Reply" button.
+const MAX_REPLY_DEPTH = 4;
+
+// A reaction along with all of the replies under it. It renders itself again for each
+// reply, one step further in, which is what draws the whole thread.
+// repliesTo is the replies to each reaction, by the id of the reaction they replied to.
+const ReactionThread = ({ reaction, depth, repliesTo, reactions, thoughtId, thoughtUsername }) => {
+  // whether this reaction's replies are hidden, and whether the reply form is open
+  const [collapsed, setCollapsed] = useState(false);
+  const [replying, setReplying] = useState(false);
+
+  const replies = repliesTo[reaction._id] || [];
+
+  return (
+    // replies are indented under the reaction they replied to
+    <div style={{ marginLeft: depth ? '1.5rem' : 0 }}>
+        <div className="pill mb-3">
+        <p className="m-0">
+        <ThoughtText text={reaction.reactionBody} mentions={reaction.mentions} /> {'// '}
+        <Avatar username={reaction.username} avatarUrl={reaction.author?.avatarUrl} />
+        <Link to={`/profile/${reaction.username}`} style={{ fontWeight: 700 }}>
+            {reaction.username} on {reaction.createdAt}
+        </Link>
+        </p>
+        {/* the whole reactions array is passed in too, see LikeButton */}
+        <div className="mt-2">
+            <LikeButton thoughtId={thoughtId} reaction={reaction} reactions={reactions} />
+            {Auth.loggedIn() && depth < MAX_REPLY_DEPTH && (
+                <button className="btn ml-2" type="button" onClick={() => setReplying(!replying)}>
+                    {replying ? 'Cancel' : 'Reply'}
+                </button>
+            )}
+            <ReportButton thoughtId={thoughtId} reaction={reaction} username={reaction.username} />
+            {replies.length > 0 && (
+                <button className="btn ml-2" type="button" onClick={() => setCollapsed(!collapsed)}>
+                    {collapsed ? `Show replies (${replies.length})` : 'Hide replies'}
+                </button>
+            )}
+        </div>
+        <ReactionActions
+            thoughtId={thoughtId}
+            thoughtUsername={thoughtUsername}
+            reaction={reaction}
+        />
+        {replying && (
+            <div className="mt-2">
+                <ReactionForm
+                    thoughtId={thoughtId}
+                    parentReactionId={reaction._id}
+                    onSubmit={() => {
+                        // close the form, and make sure the new reply can be seen
+                        setReplying(false);
+                        setCollapsed(false);
+                    }}
+                />
+            </div>
+        )}
+        </div>
+        {!collapsed &&
+        replies.map(reply => (
+            <ReactionThread
+                key={reply._id}
+                reaction={reply}
+                depth={depth + 1}
+                repliesTo={repliesTo}
+                reactions={reactions}
+                thoughtId={thoughtId}
+                thoughtUsername={thoughtUsername}
+            />
+        ))}
+    </div>
+  );
+};
+
 // The thought text is displaying correctly, but there are no reactions yet. 
 // Reactions are available on the thought.reactions property, so you would 
 // just need to map these into JSX elements. To keep the code organized and reusable, 
 // however, it would be better to create a separate component for listing reactions.
 // The ReactionList component will be given the reactions array as a prop. This array 
-// can then be mapped into a list of <p> elements. Each reaction also includes the 
+// can then be mapped into a list of pill elements. Each reaction also includes the 
 // author's name, which should route to the Profile page when clicked. Thus, we'll 
 // need to import the Link component.
-const ReactionList = ({ reactions }) => {
+// thoughtId and thoughtUsername belong to the thought these reactions were left on.
+// ReactionActions needs them to know which thought to update and whether the logged
+// in user is allowed to delete reactions on it.
+// Replies come in the same flat reactions array as everything else, each with the
+// parentReactionId of the reaction it replied to, so we sort them into threads here.
+const ReactionList = ({ reactions, thoughtId, thoughtUsername }) => {
+  // group the reactions by the reaction they replied to. Reactions left on the thought
+  // itself have no parent, and go in the list under null.
+  // A reply whose parent isn't in the list is shown at the top level, so it can't go missing.
+  const repliesTo = {};
+
+  (reactions || []).forEach(reaction => {
+    const parentId = reactions.some(({ _id }) => _id === reaction.parentReactionId)
+      ? reaction.parentReactionId
+      : null;
+
+    repliesTo[parentId] = [...(repliesTo[parentId] || []), reaction];
+  });
     
   return (
     <div className="card mb-3">
@@ -17,18 +131,20 @@ const ReactionList = ({ reactions }) => {
             <span className="text-light">Reactions</span>
         </div>
         <div className="card-body">
-            {reactions &&
-            reactions.map(reaction => (
-                <p className="pill mb-3" key={reaction._id}>
-                {reaction.reactionBody} {'// '}
-                <Link to={`/profile/${reaction.username}`} style={{ fontWeight: 700 }}>
-                    {reaction.username} on {reaction.createdAt}
-                </Link>
-                </p>
+            {(repliesTo[null] || []).map(reaction => (
+                <ReactionThread
+                    key={reaction._id}
+                    reaction={reaction}
+                    depth={0}
+                    repliesTo={repliesTo}
+                    reactions={reactions}
+                    thoughtId={thoughtId}
+                    thoughtUsername={thoughtUsername}
+                />
             ))}
         </div>
     </div>
   );
 };
 
-export default ReactionList;
\ No newline at end of file
+export default ReactionList;
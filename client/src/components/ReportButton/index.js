@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+import { useMutation } from '@apollo/client';
+import { REPORT_THOUGHT, REPORT_REACTION } from '../../utils/mutations';
+
+// see utils/auth.js
+import Auth from '../../utils/auth';
+
+// A button for reporting a thought, or one of its reactions if a reaction is passed in,
+// to the moderators. It asks the user why, then sends the report. Users can't report
+// their own posts, and reporting the same thing twice just keeps the first report.
+const ReportButton = ({ thoughtId, reaction, username }) => {
+    const [reported, setReported] = useState(false);
+
+    const [reportThought] = useMutation(REPORT_THOUGHT);
+    const [reportReaction] = useMutation(REPORT_REACTION);
+
+    if (!Auth.loggedIn() || Auth.getProfile().data.username === username) {
+        return null;
+    }
+
+    const handleClick = async () => {
+        const reason = window.prompt('Why are you reporting this?');
+
+        // the user clicked cancel or didn't give a reason
+        if (!reason || !reason.trim()) {
+            return;
+        }
+
+        try {
+            if (reaction) {
+                await reportReaction({ variables: { thoughtId, reactionId: reaction._id, reason } });
+            } else {
+                await reportThought({ variables: { thoughtId, reason } });
+            }
+
+            setReported(true);
+        } catch (e) {
+            console.error(e);
+        }
+    };
+
+    return (
+        <button className="btn ml-2" type="button" onClick={handleClick} disabled={reported}>
+            {reported ? 'Reported' : 'Report'}
+        </button>
+    );
+};
+
+export default ReportButton;
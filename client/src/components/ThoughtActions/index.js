@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+
+import { useMutation } from '@apollo/client';
+import { UPDATE_THOUGHT, REMOVE_THOUGHT } from '../../utils/mutations';
+import { QUERY_ME } from '../../utils/queries';
+
+// see utils/auth.js
+import Auth from '../../utils/auth';
+
+// Edit and delete controls for a single thought. Used on the thought cards in
+// ThoughtList and on the SingleThought page. The controls only render for the
+// user who wrote the thought, but the server checks ownership again in the
+// updateThought and removeThought resolvers, so hiding the buttons is just for
+// the user's convenience and not for security.
+// onRemove is an optional function the parent can pass in to run after the
+// thought has been deleted, like redirecting away from a page that no longer exists.
+const ThoughtActions = ({ thought, onRemove }) => {
+    // whether the edit form is open, and the text being typed into it.
+    const [editing, setEditing] = useState(false);
+    const [thoughtText, setText] = useState('');
+
+    // updating a thought doesn't need a cache update function. The mutation returns
+    // the thought's _id, so Apollo finds the cached thought and updates its text
+    // everywhere it is displayed.
+    const [updateThought, { error: updateError }] = useMutation(UPDATE_THOUGHT);
+
+    // removing a thought does need one, for the same reason adding one does in
+    // ThoughtForm: the cached arrays of thoughts have no id for Apollo to track,
+    // so we have to filter the deleted thought out of them ourselves.
+    const [removeThought, { error: removeError }] = useMutation(REMOVE_THOUGHT, {
+        update(cache, { data: { removeThought } }) {
+            // the paginated feeds on the homepage, profile and tag pages. cache.modify() runs
+            // the matching function below on every cached copy of thoughtsConnection, feed
+            // and thoughtsByTag, whatever username or tag it was loaded for, so we don't need
+            // to know which ones exist.
+            // The edges hold references to the cached thoughts rather than the thoughts
+            // themselves, so readField() is used to look up each one's _id.
+            const removeEdge = (existing, { readField }) => ({
+                ...existing,
+                edges: existing.edges.filter(
+                    edge => readField('_id', edge.node) !== removeThought._id
+                )
+            });
+
+            cache.modify({
+                fields: {
+                    thoughtsConnection: removeEdge,
+                    feed: removeEdge,
+                    thoughtsByTag: removeEdge
+                }
+            });
+
+            // the logged in user's own profile page.
+            try {
+                const { me } = cache.readQuery({ query: QUERY_ME });
+                cache.writeQuery({
+                    query: QUERY_ME,
+                    data: { me: { ...me, thoughts: me.thoughts.filter(({ _id }) => _id !== removeThought._id) } }
+                });
+            }
+            catch (e) {
+                console.error(e);
+            }
+        }
+    });
+
+    // only the author of the thought gets the controls.
+    if (!Auth.loggedIn() || Auth.getProfile().data.username !== thought.username) {
+        return null;
+    }
+
+    // same 280 character limit as ThoughtForm.
+    const handleChange = event => {
+        if (event.target.value.length <= 280) {
+            setText(event.target.value);
+        }
+    };
+
+    const handleEditSubmit = async event => {
+        event.preventDefault();
+
+        try {
+            await updateThought({
+                variables: { thoughtId: thought._id, thoughtText }
+            });
+
+            setEditing(false);
+        }
+        catch (e) {
+            console.error(e);
+        }
+    };
+
+    const handleRemove = async () => {
+        // deleting can't be undone, so make sure it wasn't a misclick.
+        if (!window.confirm('Delete this thought?')) {
+            return;
+        }
+
+        try {
+            await removeThought({
+                variables: { thoughtId: thought._id }
+            });
+
+            if (onRemove) {
+                onRemove();
+            }
+        }
+        catch (e) {
+            console.error(e);
+        }
+    };
+
+    if (editing) {
+        return (
+            <div className="mt-3">
+                <p className={`m-0 ${thoughtText.length === 280 || updateError ? 'text-error' : ''}`}>
+                    Character Count: {thoughtText.length}/280
+                    {updateError && <span className="ml-2">Something went wrong...</span>}
+                </p>
+                <form
+                className="flex-row justify-center justify-space-between-md align-stretch"
+                onSubmit={handleEditSubmit}
+                >
+                    <textarea
+                        value={thoughtText}
+                        className="form-input col-12 col-md-9"
+                        onChange={handleChange}
+                    ></textarea>
+                    <div className="col-12 col-md-3">
+                        <button className="btn w-100" type="submit">
+                        Save
+                        </button>
+                        <button
+                        className="btn w-100 mt-1"
+                        type="button"
+                        onClick={() => {
+                            // throw away the changes and go back to the original text
+                            setText(thought.thoughtText);
+                            setEditing(false);
+                        }}
+                        >
+                        Cancel
+                        </button>
+                    </div>
+                </form>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mt-3">
+            <button
+            className="btn"
+            type="button"
+            onClick={() => {
+                // start from the latest text, in case it changed since this rendered
+                setText(thought.thoughtText);
+                setEditing(true);
+            }}
+            >
+            Edit
+            </button>
+            <button className="btn ml-2" type="button" onClick={handleRemove}>
+            Delete
+            </button>
+            {removeError && <span className="ml-2 text-error">Something went wrong...</span>}
+        </div>
+    );
+};
+
+export default ThoughtActions;
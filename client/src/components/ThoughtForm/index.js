@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 
 import { useMutation } from '@apollo/client';
 import { ADD_THOUGHT } from '../../utils/mutations';
@@ -17,7 +17,21 @@ import { ADD_THOUGHT } from '../../utils/mutations';
 // allows us to update the cache of any related queries. The query we'll 
 // need to update is QUERY_THOUGHTS.
 
-import { QUERY_THOUGHTS, QUERY_ME } from '../../utils/queries';
+// The feed is now loaded a page at a time with QUERY_THOUGHTS_CONNECTION instead of
+// QUERY_THOUGHTS, so that's the cached list the new thought needs to be added to.
+import { QUERY_THOUGHTS_CONNECTION, QUERY_FEED, QUERY_ME } from '../../utils/queries';
+import addThoughtToCache from '../../utils/addThoughtToCache';
+
+// the names for who a thought is shown to
+import { VISIBILITY_NAMES } from '../VisibilityLabel';
+
+// shows how long to wait when the server says to slow down
+import errorMessage from '../../utils/errorMessage';
+
+// the same limits the server has on attached images, see server/utils/images.js.
+// They're checked here too so the user finds out before waiting for an upload.
+const MAX_IMAGES = 4;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
 
 // Adding a thought will be a little more involved than adding a friend, because 
 // we're dealing with text input and not just a single button. The ability to add thoughts 
@@ -63,18 +77,16 @@ const ThoughtForm = () => {
             // we are updating the thought array cached in the query thoughts query
             // (if it exists). and the cached thought list from the 
             // query me query (for profile page thought list).
-            try {
-              // could potentially not exist yet, so wrap in a try...catch. See big comment
-              // on top of update function.
-              const { thoughts } = cache.readQuery({ query: QUERY_THOUGHTS });
-              cache.writeQuery({
-                query: QUERY_THOUGHTS,
-                data: { thoughts: [addThought, ...thoughts] }
-              });
-            } 
-            catch (e) {
-              console.error(e);
-            }
+            // The paginated feed is cached once for the homepage (no username) and once
+            // for each profile (by username), so add the new thought to the top of both
+            // the homepage feed and the user's own profile. The friends feed on the
+            // homepage always includes the user's own thoughts, so it gets it too.
+            // see utils/addThoughtToCache.js
+            addThoughtToCache(cache, addThought, [
+              { query: QUERY_THOUGHTS_CONNECTION, field: 'thoughtsConnection', variables: {} },
+              { query: QUERY_THOUGHTS_CONNECTION, field: 'thoughtsConnection', variables: { username: addThought.username } },
+              { query: QUERY_FEED, field: 'feed', variables: {} }
+            ]);
         
             // update me object's cache, appending new thought to the end of the array
             const { me } = cache.readQuery({ query: QUERY_ME });
@@ -90,6 +102,45 @@ const ThoughtForm = () => {
     const [thoughtText, setText] = useState('');
     // state for capturing the character count within the textarea
     const [characterCount, setCharacterCount] = useState(0);
+    // the image files the user picked to attach, and a problem with them if there is one
+    const [images, setImages] = useState([]);
+    const [imageError, setImageError] = useState('');
+    // who can see the thought, public unless the user picks something else
+    const [visibility, setVisibility] = useState('public');
+
+    // URL.createObjectURL() gives each picked file a temporary URL, so it can be
+    // previewed before it's uploaded. The URLs are freed again when the images change.
+    const [previews, setPreviews] = useState([]);
+    useEffect(() => {
+        const urls = images.map(image => URL.createObjectURL(image));
+        setPreviews(urls);
+
+        return () => urls.forEach(url => URL.revokeObjectURL(url));
+    }, [images]);
+
+    // the files picked are added to the ones already picked, up to MAX_IMAGES
+    const handleImageChange = event => {
+        const files = Array.from(event.target.files);
+        // clear the input so picking the same file again still fires onChange
+        event.target.value = '';
+
+        if (files.some(file => file.size > MAX_IMAGE_SIZE)) {
+            setImageError(`Images can't be bigger than ${MAX_IMAGE_SIZE / 1024 / 1024}MB!`);
+            return;
+        }
+
+        if (images.length + files.length > MAX_IMAGES) {
+            setImageError(`A thought can only have ${MAX_IMAGES} images!`);
+            return;
+        }
+
+        setImageError('');
+        setImages([...images, ...files]);
+    };
+
+    const removeImage = index => {
+        setImages(images.filter((image, i) => i !== index));
+    };
 
     // when user types anything into the textarea,
     // this function triggers. onChange
@@ -121,12 +172,14 @@ const ThoughtForm = () => {
                 // test the error message by trying to submit the form without 
                 /// typing anything in the <textarea> element. The mutation 
                 // should fail, because the $thoughtText parameter is required.
-              variables: { thoughtText }
+              // the image files are sent as a multipart upload, see createUploadLink in App.js
+              variables: { thoughtText, images, visibility }
             });
         
             // clear state for form fields and value.
             setText('');
             setCharacterCount(0);
+            setImages([]);
         } 
         catch (e) {
             console.error(e);
@@ -145,7 +198,7 @@ const ThoughtForm = () => {
                 Character Count: {characterCount}/280
                 {/* conditional render if there is an error with the mutation
                 after the thought is submitted. */}
-                {error && <span className="ml-2">Something went wrong...</span>}
+                {error && <span className="ml-2">{errorMessage(error, 'Something went wrong...')}</span>}
             </p>
             <form
             className="flex-row justify-center justify-space-between-md align-stretch"
@@ -160,6 +213,45 @@ const ThoughtForm = () => {
                 <button className="btn col-12 col-md-3" type="submit">
                 Submit
                 </button>
+                <div className="col-12 mt-2">
+                    {images.length < MAX_IMAGES && (
+                        <label className="btn display-inline-block">
+                            Add Images
+                            {/* the real file input is hidden, and clicking the label opens it */}
+                            <input
+                                type="file"
+                                accept="image/jpeg,image/png,image/webp,image/gif"
+                                multiple
+                                onChange={handleImageChange}
+                                style={{ display: 'none' }}
+                            />
+                        </label>
+                    )}
+                    <select
+                        className="form-input ml-2 display-inline-block"
+                        style={{ width: 'auto' }}
+                        aria-label="Who can see this thought"
+                        value={visibility}
+                        onChange={event => setVisibility(event.target.value)}
+                    >
+                        {Object.entries(VISIBILITY_NAMES).map(([value, name]) => (
+                            <option key={value} value={value}>{name}</option>
+                        ))}
+                    </select>
+                    {imageError && <span className="ml-2 text-error">{imageError}</span>}
+                    {previews.length > 0 && (
+                        <div className="image-gallery mt-2">
+                            {previews.map((url, i) => (
+                                <div key={url}>
+                                    <img src={url} alt={`attachment ${i + 1}`} />
+                                    <button className="btn mt-1 w-100" type="button" onClick={() => removeImage(i)}>
+                                        Remove
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
             </form>
         </div>
     );
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 
 // see Header.js
 // Next, you'll need to update the thoughts listed on the homepage to render 
@@ -6,11 +6,65 @@ import React from 'react';
 // component when the author name is clicked.
 import { Link } from 'react-router-dom';
 
+// edit and delete buttons, only shown on the logged in user's own thoughts.
+import ThoughtActions from '../ThoughtActions';
+
+// highlights the search words in search results
+import Highlight from '../Highlight';
+
+// turns #tags and @mentions in the thought's text into links
+import ThoughtText from '../ThoughtText';
+
+// the heart for liking the thought
+import LikeButton from '../LikeButton';
+
+// the author's picture next to their name
+import Avatar from '../Avatar';
+
+// thumbnails of the images attached to the thought
+import ImageGallery from '../ImageGallery';
+
+// who can see the thought, if it isn't everyone
+import VisibilityLabel from '../VisibilityLabel';
+
 // integrate list of thoughts into the Home component.
 // Here we instruct that the ThoughtList component will receive two props: a 
 // title and the thoughts array. We destructure the argument data to avoid using 
 // props.title and props.thoughts throughout the JSX code.
-const ThoughtList = ({ thoughts, title }) => {
+// Pages that load thoughts a page at a time can also pass in hasMore, whether there
+// are more thoughts on the server, and onLoadMore, a function that fetches the next page.
+// The Search page passes in thoughts with a highlight property, a snippet of the thought
+// with the search words highlighted, and/or matchedReactions, the thought's reactions that
+// matched the search. Those are shown instead of, or along with, the thought's text.
+const ThoughtList = ({ thoughts, title, hasMore, onLoadMore }) => {
+  // an empty <div> at the bottom of the list. When the user scrolls it into view,
+  // we ask the page for more thoughts.
+  const loadMoreRef = useRef(null);
+
+  // IntersectionObserver is built into the browser and calls our function whenever
+  // the element it's watching scrolls into or out of view. That way we don't have
+  // to check the scroll position ourselves on every scroll event.
+  // The effect runs again whenever the list changes, so the observer always calls
+  // the latest onLoadMore, and it's disconnected when there's nothing left to load.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+
+    if (!sentinel || !hasMore || !onLoadMore) {
+      return;
+    }
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    });
+
+    observer.observe(sentinel);
+
+    // clean up the observer when the component re-renders or unmounts
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore, thoughts]);
+
     // We conditionally render JSX by checking to see if there's even 
     // any data in the thoughts array first. If there's no data, then 
     // we return a message stating that.
@@ -27,6 +81,7 @@ const ThoughtList = ({ thoughts, title }) => {
             // key helps React internally track which data needs to be re-rendered if something changes.
           <div key={thought._id} className="card mb-3">
             <p className="card-header">
+              <Avatar username={thought.username} avatarUrl={thought.author?.avatarUrl} />
               <Link
                 to={`/profile/${thought.username}`}
                 style={{ fontWeight: 700 }}
@@ -35,10 +90,27 @@ const ThoughtList = ({ thoughts, title }) => {
                 {thought.username}
               </Link>{' '}
               thought on {thought.createdAt}
+              <VisibilityLabel visibility={thought.visibility} />
             </p>
             <div className="card-body">
+              {/* the text is kept outside of the link to the thought, because its
+              #tags and @mentions are links of their own, and a link can't go inside another link. */}
+              <p>
+                {thought.highlight ? (
+                  <Highlight text={thought.highlight.text} highlights={thought.highlight.highlights} />
+                ) : (
+                  <ThoughtText text={thought.thoughtText} mentions={thought.mentions} />
+                )}
+              </p>
+              <ImageGallery images={thought.images} />
+              {thought.matchedReactions &&
+                thought.matchedReactions.map(reaction => (
+                  <p className="pill mb-2" key={reaction._id}>
+                    <Highlight text={reaction.text} highlights={reaction.highlights} />{' // '}
+                    {reaction.username}
+                  </p>
+                ))}
               <Link to={`/thought/${thought._id}`}>
-                <p>{thought.thoughtText}</p>
                 <p className="mb-0">
                     {/* Notice how we also check to see the value of thought.reactionCount. 
                     We're conditionally displaying a message to contextualize what the call 
@@ -49,9 +121,19 @@ const ThoughtList = ({ thoughts, title }) => {
                   {thought.reactionCount ? 'see' : 'start'} the discussion!
                 </p>
               </Link>
+              <div className="mt-3">
+                <LikeButton thought={thought} />
+              </div>
+              <ThoughtActions thought={thought} />
             </div>
           </div>
         ))}
+      {/* only rendered while there are more thoughts to load */}
+      {hasMore && (
+        <div ref={loadMoreRef} className="text-center mb-3">
+          Loading more thoughts...
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// matches #tags and @mentions the same way the server does (see server/utils/parseText.js).
+// Because the regex is wrapped in a capture group, text.split() keeps the matches in the
+// array it returns, so every odd index is a tag or mention and every even index is the
+// plain text between them.
+const TOKEN_REGEX = /(#\w+|@\w+(?:\.\w+)*)/;
+
+// Renders the text of a thought or reaction with its #tags linked to the /tag/:tag page
+// and its @mentions linked to the mentioned user's profile. mentions is the list of
+// usernames the server found in the text, so only real users get turned into links.
+const ThoughtText = ({ text, mentions }) => {
+  if (!text) {
+    return null;
+  }
+
+  const pieces = text.split(TOKEN_REGEX);
+
+  return (
+    <>
+      {pieces.map((piece, i) => {
+        // a tag or mention only counts at the start of the text or after a space,
+        // so something like an email address stays plain text.
+        const before = pieces[i - 1];
+        const isToken = i % 2 === 1 && ((i === 1 && before === '') || /\s$/.test(before));
+
+        if (isToken && piece.startsWith('#')) {
+          const tag = piece.slice(1).toLowerCase();
+          return (
+            <Link key={i} to={`/tag/${tag}`} style={{ fontWeight: 700 }}>
+              {piece}
+            </Link>
+          );
+        }
+
+        if (isToken && mentions && mentions.includes(piece.slice(1))) {
+          return (
+            <Link key={i} to={`/profile/${piece.slice(1)}`} style={{ fontWeight: 700 }}>
+              {piece}
+            </Link>
+          );
+        }
+
+        return <React.Fragment key={i}>{piece}</React.Fragment>;
+      })}
+    </>
+  );
+};
+
+export default ThoughtText;
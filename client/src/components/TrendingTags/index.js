@@ -0,0 +1,34 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+import { useQuery } from '@apollo/client';
+import { QUERY_TRENDING_TAGS } from '../../utils/queries';
+
+// The most used #tags in thoughts from the last day, each linking to its
+// /tag/:tag page. Renders nothing until there's at least one tag to show.
+const TrendingTags = () => {
+  const { data } = useQuery(QUERY_TRENDING_TAGS, {
+    variables: { window: 'DAY' }
+  });
+
+  const tags = data?.trendingTags || [];
+
+  if (!tags.length) {
+    return null;
+  }
+
+  return (
+    <div className="mb-3">
+      <h5>Trending today</h5>
+      {tags.map(({ tag, count }) => (
+        <button className="btn w-100 display-block mb-2" key={tag}>
+          <Link to={`/tag/${tag}`}>
+            #{tag} ({count})
+          </Link>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default TrendingTags;
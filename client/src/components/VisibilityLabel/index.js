@@ -0,0 +1,20 @@
+import React from 'react';
+
+// what each visibility is called, both here and in the selector in ThoughtForm
+export const VISIBILITY_NAMES = {
+  public: 'Everyone',
+  friends: 'Friends only',
+  private: 'Only me'
+};
+
+// A note next to a thought's date saying who can see it. Public thoughts don't get one,
+// since that's what every thought was before visibility was added.
+const VisibilityLabel = ({ visibility }) => {
+  if (!visibility || visibility === 'public') {
+    return null;
+  }
+
+  return <span className="ml-2">({VISIBILITY_NAMES[visibility].toLowerCase()})</span>;
+};
+
+export default VisibilityLabel;
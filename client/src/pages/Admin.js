@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { Link, Redirect } from 'react-router-dom';
+
+import { useQuery, useMutation } from '@apollo/client';
+import { QUERY_ME_BASIC, QUERY_REPORTS } from '../utils/queries';
+import { HIDE_THOUGHT, SUSPEND_USER, RESOLVE_REPORT, SET_USER_ROLE } from '../utils/mutations';
+
+import Auth from '../utils/auth';
+
+// the tabs at the top of the page, one for each report status
+const STATUSES = ['OPEN', 'RESOLVED', 'DISMISSED'];
+
+// The moderators' dashboard. It lists the reports users have sent in, oldest first,
+// with buttons to hide the reported thought, suspend its author, and close the report.
+// Admins also get a form for giving other users a role.
+// The server checks the user's role again on every one of these, so hiding the page
+// from other users is just for their convenience and not for security.
+const Admin = () => {
+  const [status, setStatus] = useState('OPEN');
+  const [roleState, setRoleState] = useState({ username: '', role: 'moderator' });
+
+  const { data: meData, loading: meLoading } = useQuery(QUERY_ME_BASIC, {
+    skip: !Auth.loggedIn()
+  });
+  const role = meData?.me?.role;
+  const isModerator = role === 'moderator' || role === 'admin';
+
+  const { data, loading, error } = useQuery(QUERY_REPORTS, {
+    variables: { status },
+    skip: !isModerator
+  });
+  const reports = data?.reports || [];
+
+  // closing a report moves it to another tab, so the lists are loaded again
+  const [resolveReport] = useMutation(RESOLVE_REPORT, {
+    refetchQueries: STATUSES.map(status => ({ query: QUERY_REPORTS, variables: { status } }))
+  });
+  const [hideThought] = useMutation(HIDE_THOUGHT);
+  const [suspendUser] = useMutation(SUSPEND_USER);
+  const [setUserRole, { data: roleData, error: roleError }] = useMutation(SET_USER_ROLE);
+
+  if (!Auth.loggedIn()) {
+    return <Redirect to="/login" />;
+  }
+
+  if (meLoading) {
+    return <div>Loading...</div>;
+  }
+
+  if (!isModerator) {
+    return <h4>Only moderators can see this page.</h4>;
+  }
+
+  // runs one of the moderation mutations, and shows the error if it fails
+  const run = async (mutation, variables) => {
+    try {
+      await mutation({ variables });
+    } catch (e) {
+      console.error(e);
+      window.alert(e.message);
+    }
+  };
+
+  const handleSuspend = author => {
+    const days = window.prompt('Suspend for how many days? (0 lifts a suspension)', '7');
+
+    if (days === null || isNaN(parseInt(days))) {
+      return;
+    }
+
+    const reason = parseInt(days) > 0 ? window.prompt('Why? The user sees this when they try to log in.') : null;
+
+    run(suspendUser, { userId: author._id, days: parseInt(days), reason });
+  };
+
+  const handleRoleSubmit = async event => {
+    event.preventDefault();
+
+    try {
+      await setUserRole({ variables: { ...roleState } });
+      setRoleState({ ...roleState, username: '' });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return (
+    <main>
+      <div className="flex-row mb-3">
+        <h2 className="bg-dark text-secondary p-3 display-inline-block">Reports</h2>
+      </div>
+
+      <div className="mb-3">
+        {STATUSES.map(tab => (
+          <button
+            key={tab}
+            className="btn mr-2"
+            type="button"
+            onClick={() => setStatus(tab)}
+            disabled={tab === status}
+          >
+            {tab.charAt(0) + tab.slice(1).toLowerCase()}
+          </button>
+        ))}
+      </div>
+
+      {loading && <div>Loading...</div>}
+      {error && <div className="text-error">{error.message}</div>}
+      {!loading && !reports.length && <p>No {status.toLowerCase()} reports.</p>}
+
+      {reports.map(report => {
+        // a report is about the reaction if there is one, otherwise the thought
+        const target = report.reaction || report.thought;
+        const text = report.reaction ? report.reaction.reactionBody : report.thought?.thoughtText;
+
+        return (
+          <div key={report._id} className="card mb-3">
+            <p className="card-header">
+              {report.reaction ? 'Reaction' : 'Thought'} reported by{' '}
+              {report.reporter ? report.reporter.username : 'a deleted user'} on {report.createdAt}
+            </p>
+            <div className="card-body">
+              <p>
+                <strong>Reason:</strong> {report.reason}
+              </p>
+              {target ? (
+                <p className="pill">
+                  {text} {'// '}
+                  <Link to={`/profile/${target.username}`}>{target.username}</Link>
+                  {target.author?.suspendedUntil && ` (suspended until ${target.author.suspendedUntil})`}
+                  {' // '}
+                  <Link to={`/thought/${report.thought._id}`}>view thought</Link>
+                </p>
+              ) : (
+                <p className="pill">This has been deleted.</p>
+              )}
+
+              {report.status === 'OPEN' ? (
+                <div>
+                  {report.thought && (
+                    <button
+                      className="btn mr-2 mb-2"
+                      type="button"
+                      onClick={() =>
+                        run(hideThought, { thoughtId: report.thought._id, hidden: !report.thought.hidden })
+                      }
+                    >
+                      {report.thought.hidden ? 'Unhide Thought' : 'Hide Thought'}
+                    </button>
+                  )}
+                  {target?.author && (
+                    <button className="btn mr-2 mb-2" type="button" onClick={() => handleSuspend(target.author)}>
+                      Suspend {target.username}
+                    </button>
+                  )}
+                  <button
+                    className="btn mr-2 mb-2"
+                    type="button"
+                    onClick={() => run(resolveReport, { reportId: report._id, status: 'RESOLVED' })}
+                  >
+                    Resolve
+                  </button>
+                  <button
+                    className="btn mb-2"
+                    type="button"
+                    onClick={() => run(resolveReport, { reportId: report._id, status: 'DISMISSED' })}
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              ) : (
+                <p className="mb-0">
+                  {report.status === 'RESOLVED' ? 'Resolved' : 'Dismissed'} by{' '}
+                  {report.resolvedBy ? report.resolvedBy.username : 'a deleted user'} on {report.resolvedAt}
+                </p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {role === 'admin' && (
+        <div className="card mb-3">
+          <h4 className="card-header">Roles</h4>
+          <div className="card-body">
+            <form onSubmit={handleRoleSubmit}>
+              <input
+                className="form-input"
+                placeholder="Username"
+                name="username"
+                type="text"
+                value={roleState.username}
+                onChange={event => setRoleState({ ...roleState, username: event.target.value })}
+              />
+              <select
+                className="form-input"
+                name="role"
+                value={roleState.role}
+                onChange={event => setRoleState({ ...roleState, role: event.target.value })}
+              >
+                <option value="user">user</option>
+                <option value="moderator">moderator</option>
+                <option value="admin">admin</option>
+              </select>
+              <button className="btn d-block w-100" type="submit">
+                Set Role
+              </button>
+            </form>
+            {roleData && (
+              <p className="mb-0">
+                {roleData.setUserRole.username} is now a {roleData.setUserRole.role}.
+              </p>
+            )}
+            {roleError && <div className="text-error">{roleError.message}</div>}
+          </div>
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+
+import { useMutation } from '@apollo/client';
+import { REQUEST_PASSWORD_RESET } from '../utils/mutations';
+
+// shows how long to wait when the server says to slow down
+import errorMessage from '../utils/errorMessage';
+
+// see Login.js for more comments.
+// The user types in their email and we send them a link to reset their password.
+// The server doesn't say whether an account with that email exists, so we show the
+// same message either way.
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [requestPasswordReset, { data, error }] = useMutation(REQUEST_PASSWORD_RESET);
+
+  const handleFormSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      await requestPasswordReset({
+        variables: { email }
+      });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return (
+    <main className='flex-row justify-center mb-4'>
+      <div className='col-12 col-md-6'>
+        <div className='card'>
+          <h4 className='card-header'>Forgot Your Password?</h4>
+          <div className='card-body'>
+            {data ? (
+              <p>
+                If there's an account with that email, we've sent it a link to reset
+                your password. The link works for one hour.
+              </p>
+            ) : (
+              <form onSubmit={handleFormSubmit}>
+                <input
+                  className='form-input'
+                  placeholder='Your email'
+                  name='email'
+                  type='email'
+                  id='email'
+                  value={email}
+                  onChange={(event) => setEmail(event.target.value)}
+                />
+                <button className='btn d-block w-100' type='submit'>
+                  Send Reset Link
+                </button>
+              </form>
+            )}
+            {error && <div>{errorMessage(error, 'Something went wrong...')}</div>}
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default ForgotPassword;
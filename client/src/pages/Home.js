@@ -1,15 +1,21 @@
-import React from 'react';
+import React, { useState } from 'react';
 
 // we're importing the useQuery Hook from Apollo Client. This will allow us 
 // to make requests to the GraphQL server we connected to and made available 
 // to the application using the <ApolloProvider> component in App.js earlier.
-import { useQuery } from '@apollo/client';
-// We also imported the QUERY_THOUGHTS query we just created in 
-// utils/queries.js. Now we just need to use the query with the imported 
-// Hook functionality, and we'll be able to query thought data!
-// we can also import a query to include basic info on the user,
+// useSubscription keeps a subscription open for as long as the component is on the page.
+import { useQuery, useSubscription } from '@apollo/client';
+// we import a query to include basic info on the user,
 // which will include the user's friend list, which we will also use.
-import { QUERY_THOUGHTS, QUERY_ME_BASIC } from '../utils/queries';
+// the friends feed query is used for the "Friends" tab.
+import { QUERY_ME_BASIC, QUERY_FEED, QUERY_THOUGHTS_CONNECTION } from '../utils/queries';
+// sends us every new thought as it's posted, see utils/subscriptions.js
+import { THOUGHT_ADDED } from '../utils/subscriptions';
+import addThoughtToCache from '../utils/addThoughtToCache';
+
+// runs the paginated thoughtsConnection query, so the feed loads a page
+// of thoughts at a time as the user scrolls instead of all of them at once.
+import usePaginatedThoughts from '../utils/usePaginatedThoughts';
 
 // see utils/auth.js
 import Auth from '../utils/auth';
@@ -19,6 +25,9 @@ import FriendList from '../components/FriendList';
 
 import ThoughtList from '../components/ThoughtList';
 
+// the most used #tags lately, shown next to the feed for everyone
+import TrendingTags from '../components/TrendingTags';
+
 // form to post a thought
 import ThoughtForm from '../components/ThoughtForm';
 
@@ -36,7 +45,19 @@ const Home = () => {
   // Working with Promise-based functionality in React can get cumbersome. But with the 
   // loading property, we'll be able to conditionally render data based on whether or not 
   // there is data to even display.
-  const { loading, data } = useQuery(QUERY_THOUGHTS);
+  // The feed used to be the thoughts query, which returned every thought at once. Now
+  // usePaginatedThoughts() gets the newest page of thoughts and gives us a loadMore()
+  // function that ThoughtList calls when the user scrolls to the bottom.
+  // Logged in users can switch between the feed of everyone's thoughts and a feed of
+  // only their own and their friends' thoughts. Only the selected tab's query runs, the
+  // other one is skipped until the user switches to it. Switching back shows the cached
+  // thoughts right away instead of loading them again.
+  const [tab, setTab] = useState('everyone');
+  const showFriends = loggedIn && tab === 'friends';
+
+  const everyone = usePaginatedThoughts({ skip: showFriends });
+  const friends = usePaginatedThoughts({ skip: !showFriends }, QUERY_FEED, 'feed');
+  const { loading, thoughts, hasMore, loadMore } = showFriends ? friends : everyone;
 
   // use object destructuring to extract `data` from the `useQuery` Hook's response 
   // and rename it `userData` to be more descriptive.
@@ -45,19 +66,27 @@ const Home = () => {
   // it in the <FriendList> component.
   const { data: userData } = useQuery(QUERY_ME_BASIC);
 
-  // Next we'll get the thought data out of the query's response, because every GraphQL 
-  // response comes in a big data object. In this case, we'll need to access data.thoughts. 
-  // So what's this weird syntax? This is called optional chaining, and it's new to 
-  // JavaScript—so new that only browsers seem to support it. If we tried to use it 
-  // in a Node server, we'd receive a syntax error, because Node doesn't know what it is yet.
-  // Optional chaining negates the need to check if an object even exists before accessing 
-  // its properties. In this case, no data will exist until the query to the server is finished.
-  // What we're saying is, if data exists, store it in the thoughts constant we just created. 
-  // If data is undefined, then save an empty array to the thoughts component. Since this is React,
-  // once the data exists the variable will update automatically and the thought list will render.
-  const thoughts = data?.thoughts || [];
-  console.log(thoughts);
+  // Whenever anyone posts a thought, add it to the top of the feed so it shows up
+  // without a refresh. It also goes on the friends feed if it was posted by the
+  // logged in user or one of their friends.
+  useSubscription(THOUGHT_ADDED, {
+    onSubscriptionData: ({ client, subscriptionData }) => {
+      const thought = subscriptionData.data?.thoughtAdded;
+
+      if (!thought) {
+        return;
+      }
+
+      const lists = [{ query: QUERY_THOUGHTS_CONNECTION, field: 'thoughtsConnection', variables: {} }];
+      const me = userData?.me;
 
+      if (me && [me.username, ...me.friends.map(friend => friend.username)].includes(thought.username)) {
+        lists.push({ query: QUERY_FEED, field: 'feed', variables: {} });
+      }
+
+      addThoughtToCache(client.cache, thought, lists);
+    }
+  });
 
   return (
     <main>
@@ -68,11 +97,27 @@ const Home = () => {
             <ThoughtForm />
           </div>
         )}
-        {/* With this in place, we're conditionally defining the layout for this <div>. If the 
-        user isn't logged in, it'll span the full width of the row. But if you the user is 
-        logged in, it'll only span eight columns, leaving space for a four-column <div> on the 
-        righthand side. */}
-        <div className={`col-12 mb-3 ${loggedIn && 'col-lg-8'}`}>
+        {/* The feed spans eight columns, leaving space for a four-column <div> on the 
+        righthand side with the trending tags, and the user's friends if they're logged in. */}
+        <div className="col-12 mb-3 col-lg-8">
+          {/* the feed tabs, only for logged in users since the friends feed
+          needs to know who the user's friends are. */}
+          {loggedIn && (
+            <div className="mb-3">
+              <button
+                className={`btn ${showFriends ? '' : 'bg-dark text-secondary'}`}
+                onClick={() => setTab('everyone')}
+              >
+                Everyone
+              </button>
+              <button
+                className={`btn ml-2 ${showFriends ? 'bg-dark text-secondary' : ''}`}
+                onClick={() => setTab('friends')}
+              >
+                Friends
+              </button>
+            </div>
+          )}
           {/* With this, we use a ternary operator to conditionally render the <ThoughtList> 
           component. If the query hasn't completed and loading is still defined, we display 
           a message to indicate just that. Once the query is complete and loading is 
@@ -81,20 +126,26 @@ const Home = () => {
           {loading ? (
             <div>Loading...</div>
           ) : (
-            <ThoughtList thoughts={thoughts} title="Some Feed for Thought(s)..." />
+            <ThoughtList
+              thoughts={thoughts}
+              title={showFriends ? "Thoughts from you and your friends..." : "Some Feed for Thought(s)..."}
+              hasMore={hasMore}
+              onLoadMore={loadMore}
+            />
           )}
         </div>
-        {/* if user is logged in and the user's data was returned.
-        // render the user's frienlist to the homepage */}
-        {loggedIn && userData ? (
-          <div className="col-12 col-lg-3 mb-3">
+        <div className="col-12 col-lg-3 mb-3">
+          <TrendingTags />
+          {/* if user is logged in and the user's data was returned.
+          // render the user's frienlist to the homepage */}
+          {loggedIn && userData ? (
             <FriendList
               username={userData.me.username}
               friendCount={userData.me.friendCount}
               friends={userData.me.friends}
             />
-          </div>
-        ) : null}
+          ) : null}
+        </div>
       </div>
     </main>
   );
@@ -0,0 +1,216 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, Redirect, useHistory, useParams } from 'react-router-dom';
+
+import { useQuery, useMutation } from '@apollo/client';
+import {
+  QUERY_CONVERSATIONS,
+  QUERY_MESSAGES,
+  QUERY_ME_BASIC,
+  QUERY_UNREAD_MESSAGE_COUNT
+} from '../utils/queries';
+import { MARK_CONVERSATION_READ } from '../utils/mutations';
+
+import Avatar from '../components/Avatar';
+import MessageForm from '../components/MessageForm';
+
+import Auth from '../utils/auth';
+
+// how many messages to ask the server for at a time
+const MESSAGES_PAGE_SIZE = 20;
+
+// One open conversation. The server sends the messages newest first, a page at a time,
+// so they're flipped around to read top to bottom, and older pages are loaded above them.
+const Conversation = ({ conversation }) => {
+  const myId = Auth.getProfile().data._id;
+
+  const { loading, data, fetchMore } = useQuery(QUERY_MESSAGES, {
+    variables: { conversationId: conversation._id, first: MESSAGES_PAGE_SIZE }
+  });
+
+  const messages = useMemo(
+    () => (data?.messages.edges.map(edge => edge.node) || []).slice().reverse(),
+    [data]
+  );
+  const pageInfo = data?.messages.pageInfo;
+
+  // opening the conversation marks the other user's messages as read. The conversation
+  // comes back with its new unreadCount, which updates the inbox list in the cache, and
+  // the count next to the Inbox link is loaded again.
+  const [markConversationRead] = useMutation(MARK_CONVERSATION_READ, {
+    refetchQueries: [{ query: QUERY_UNREAD_MESSAGE_COUNT }]
+  });
+
+  useEffect(() => {
+    if (conversation.unreadCount) {
+      markConversationRead({ variables: { conversationId: conversation._id } }).catch(e =>
+        console.error(e)
+      );
+    }
+  }, [conversation._id, conversation.unreadCount, markConversationRead]);
+
+  // the messages type policy in App.js adds the older page onto the cached list
+  const loadOlder = () => {
+    fetchMore({ variables: { after: pageInfo.endCursor } }).catch(e => console.error(e));
+  };
+
+  const { otherUser } = conversation;
+
+  return (
+    <div className="card mb-3">
+      <p className="card-header">
+        {otherUser ? (
+          <>
+            <Avatar username={otherUser.username} avatarUrl={otherUser.avatarUrl} />
+            <Link to={`/profile/${otherUser.username}`} className="text-light">
+              {otherUser.username}
+            </Link>
+          </>
+        ) : (
+          'A deleted user'
+        )}
+      </p>
+      <div className="card-body">
+        {pageInfo?.hasNextPage && (
+          <button className="btn w-100 mb-3" type="button" onClick={loadOlder}>
+            Load older messages
+          </button>
+        )}
+
+        {loading && !messages.length && <div>Loading...</div>}
+
+        {messages.map(message => {
+          const mine = message.sender?._id === myId;
+
+          return (
+            <div key={message._id} className={`flex-row mb-2 ${mine ? 'justify-flex-end' : ''}`}>
+              <p className={`pill mb-0 ${mine ? 'bg-secondary' : ''}`} style={{ maxWidth: '80%' }}>
+                {message.body}
+                <br />
+                <small>
+                  {message.createdAt}
+                  {mine && message.read && ' · Read'}
+                </small>
+              </p>
+            </div>
+          );
+        })}
+
+        {/* only friends can message each other. The server stops listing the conversation once
+            they aren't, so this is only seen if that happens while it's open */}
+        {conversation.canReply ? (
+          <MessageForm toUserId={otherUser._id} />
+        ) : (
+          <p className="mb-0">You can only reply to your friends.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The logged in user's direct messages. The list of conversations is on the left, and
+// the one picked with /inbox/:conversationId is shown on the right. With no conversation
+// picked, there's a form for starting one with a friend instead.
+const Inbox = () => {
+  const { conversationId } = useParams();
+  const history = useHistory();
+  const [friendId, setFriendId] = useState('');
+
+  const { loading, data } = useQuery(QUERY_CONVERSATIONS, {
+    skip: !Auth.loggedIn(),
+    fetchPolicy: 'cache-and-network'
+  });
+  const conversations = data?.conversations || [];
+
+  // the friends the logged in user can start a conversation with
+  const { data: meData } = useQuery(QUERY_ME_BASIC, { skip: !Auth.loggedIn() });
+  const friends = meData?.me?.friends || [];
+
+  if (!Auth.loggedIn()) {
+    return <Redirect to="/login" />;
+  }
+
+  const conversation = conversations.find(({ _id }) => _id === conversationId);
+
+  let main;
+  if (conversation) {
+    main = <Conversation conversation={conversation} />;
+  } else if (conversationId) {
+    main = loading ? <div>Loading...</div> : <h4>This conversation doesn't exist.</h4>;
+  } else {
+    main = (
+      <div className="card mb-3">
+        <h4 className="card-header">New Message</h4>
+        <div className="card-body">
+          {!friends.length ? (
+            <p className="mb-0">Add some friends to start sending messages!</p>
+          ) : (
+            <>
+              <select
+                className="form-input mb-2"
+                aria-label="Send a message to"
+                value={friendId}
+                onChange={event => setFriendId(event.target.value)}
+              >
+                <option value="">Pick a friend...</option>
+                {friends.map(friend => (
+                  <option key={friend._id} value={friend._id}>
+                    {friend.username}
+                  </option>
+                ))}
+              </select>
+              {/* once the message is sent, open the conversation it went into */}
+              {friendId && (
+                <MessageForm
+                  toUserId={friendId}
+                  onSent={message => history.push(`/inbox/${message.conversationId}`)}
+                />
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <main>
+      <div className="flex-row mb-3">
+        <h2 className="bg-dark text-secondary p-3 display-inline-block">Inbox</h2>
+      </div>
+
+      <div className="flex-row justify-space-between mb-3">
+        <div className="col-12 col-lg-4 mb-3">
+          <Link to="/inbox" className="btn d-block w-100 mb-3">
+            New Message
+          </Link>
+
+          {loading && !conversations.length && <div>Loading...</div>}
+          {!loading && !conversations.length && <p>No messages yet.</p>}
+
+          {conversations.map(({ _id, otherUser, lastMessage, unreadCount }) => (
+            <Link key={_id} to={`/inbox/${_id}`}>
+              <div className={`card mb-2 ${_id === conversationId ? 'bg-light' : ''}`}>
+                <div className="card-body">
+                  <p className="mb-1" style={{ fontWeight: unreadCount ? 700 : 400 }}>
+                    <Avatar username={otherUser?.username} avatarUrl={otherUser?.avatarUrl} />
+                    {otherUser ? otherUser.username : 'A deleted user'}
+                    {unreadCount ? ` (${unreadCount})` : ''}
+                  </p>
+                  {lastMessage && (
+                    <p className="m-0">
+                      <small>{lastMessage.body}</small>
+                    </p>
+                  )}
+                </div>
+              </div>
+            </Link>
+          ))}
+        </div>
+
+        <div className="col-12 col-lg-7 mb-3">{main}</div>
+      </div>
+    </main>
+  );
+};
+
+export default Inbox;
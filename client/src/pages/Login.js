@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 
 // see google docs, MERN Stack Notes, Create and Implement User-Based Mutations
 import { useMutation } from '@apollo/client';
@@ -7,6 +8,9 @@ import { LOGIN_USER } from '../utils/mutations';
 // see utils/auth.js
 import Auth from '../utils/auth';
 
+// shows how long to wait when the server says to slow down
+import errorMessage from '../utils/errorMessage';
+
 
 const Login = (props) => {
   const [formState, setFormState] = useState({ email: '', password: '' });
@@ -81,7 +85,10 @@ const Login = (props) => {
                 Submit
               </button>
             </form>
-            {error && <div>Login failed</div>}
+            {error && <div>{errorMessage(error, 'Login failed')}</div>}
+            <p className='mt-3 mb-0'>
+              <Link to='/forgot-password'>Forgot your password?</Link>
+            </p>
           </div>
         </div>
       </div>
@@ -12,33 +12,46 @@ import React from 'react';
 import { Redirect, useParams } from 'react-router-dom';
 import Auth from '../utils/auth';
 
-// add a friend to the user's friendlist using useMutation hook.
+// send, accept and remove friends using the useMutation hook.
 // useQuery finds the user whos profile was clicked on, or the profile of the
 // user who is logged in.
-import { ADD_FRIEND } from '../utils/mutations';
+import {
+  SEND_FRIEND_REQUEST,
+  ACCEPT_FRIEND_REQUEST,
+  REMOVE_FRIEND,
+  LOGOUT_ALL_DEVICES,
+  BLOCK_USER,
+  MUTE_USER
+} from '../utils/mutations';
 import { useQuery, useMutation } from '@apollo/client';
 
 import ThoughtList from '../components/ThoughtList';
 
+// loads the profile's thoughts a page at a time, see Home.js
+import usePaginatedThoughts from '../utils/usePaginatedThoughts';
+
 // form to post a thought
 import ThoughtForm from '../components/ThoughtForm';
 
 // query user, queries another user's profile.
 // query me, querys the currently logged in user's profile.
-import { QUERY_USER, QUERY_ME } from '../utils/queries';
+// query friend requests, the logged in user's pending friend requests in both directions.
+import { QUERY_USER, QUERY_ME, QUERY_FRIEND_REQUESTS } from '../utils/queries';
 
 import FriendList from '../components/FriendList';
 
+// the user's avatar, name, bio and the rest of their profile
+import ProfileCard from '../components/ProfileCard';
 
+// the "Pending requests" panel, only rendered on the logged in user's own profile
+import FriendRequests from '../components/FriendRequests';
 
+import evictBlockedContent from '../utils/evictBlockedContent';
 
-const Profile = () => {
 
-  // destructure the mutation function from ADD_FRIEND so we can use it in a click function.
-  // remember useMutation does not automaticall send request like useQuery does.
-  // it prepares and returns a function that is able to send the mutation request using
-  // the ADD_FRIEND gql query
-  const [addFriend] = useMutation(ADD_FRIEND);
+
+
+const Profile = () => {
 
   // useParams takes the parameters from the url and
   // turns the the parameters into properties of an object. 
@@ -46,6 +59,43 @@ const Profile = () => {
   // constant userParam.
   const { username: userParam } = useParams();
 
+  // the friend mutations change the friends of both users, and the logged in user's
+  // pending requests. The logged in user is updated in the cache by the mutation's
+  // response, but the profile being viewed and the pending request lists are not,
+  // so we ask Apollo to refetch them after each mutation.
+  const friendRefetchQueries = [
+    { query: QUERY_FRIEND_REQUESTS },
+    { query: QUERY_USER, variables: { username: userParam } }
+  ];
+
+  // destructure the mutation functions so we can use them in click functions.
+  // remember useMutation does not automaticall send request like useQuery does.
+  // it prepares and returns a function that is able to send the mutation request using
+  // the gql mutation.
+  // Becoming friends or unfriending also changes whose thoughts belong in the friends feed
+  // on the homepage, so the cached feed is thrown out and will be loaded fresh next time.
+  const friendMutationOptions = {
+    refetchQueries: friendRefetchQueries,
+    update: cache => cache.evict({ id: 'ROOT_QUERY', fieldName: 'feed' })
+  };
+  const [sendFriendRequest] = useMutation(SEND_FRIEND_REQUEST, friendMutationOptions);
+  const [acceptFriendRequest] = useMutation(ACCEPT_FRIEND_REQUEST, friendMutationOptions);
+  const [removeFriend] = useMutation(REMOVE_FRIEND, friendMutationOptions);
+
+  // once a user is blocked or muted their profile and thoughts are hidden, so the
+  // cached lists are thrown out and this page loads the profile again, which comes back empty
+  const [blockUser] = useMutation(BLOCK_USER, { update: evictBlockedContent });
+  const [muteUser] = useMutation(MUTE_USER, { update: evictBlockedContent });
+
+  // ends the logged in user's sessions on every device, including this one
+  const [logoutAllDevices] = useMutation(LOGOUT_ALL_DEVICES);
+
+  // the logged in user's pending friend requests. Skipped when nobody is
+  // logged in, since the query requires a valid JWT.
+  const { data: requestData } = useQuery(QUERY_FRIEND_REQUESTS, {
+    skip: !Auth.loggedIn()
+  });
+
   // if there's a value in userParam that we got from the URL bar, we'll 
   // use that value to run the QUERY_USER query for another user's profile. If there's 
   // no value in userParam, like if we simply visit /profile as a logged-in user, we'll 
@@ -57,6 +107,15 @@ const Profile = () => {
   });
 
 
+  // the thoughts on this profile, a page at a time. On the logged in user's own
+  // profile there's no username in the URL, so we use the one saved in their JWT.
+  // Skipped if there's no username at all, since then there's no profile to show.
+  const profileUsername = userParam || (Auth.loggedIn() ? Auth.getProfile().data.username : null);
+  const { thoughts, hasMore, loadMore } = usePaginatedThoughts({
+    variables: { username: profileUsername },
+    skip: !profileUsername
+  });
+
   // The user object that is created afterwards is used to populate the JSX. 
   // This includes passing props to the ThoughtList component to render a list 
   // of thoughts unique to this user.
@@ -77,6 +136,12 @@ const Profile = () => {
     return <div>Loading...</div>;
   }
 
+  // the server doesn't return the profile of a user the logged in user blocked or
+  // muted, or who blocked them, or of a username that doesn't exist
+  if (userParam && !data?.user) {
+    return <h4>This user isn't available.</h4>;
+  }
+
   // if someone tries to visit /profile but is not logged in,
   // return this instead.
   // Now if there is no user data to display, we know that we aren't logged in or 
@@ -91,11 +156,18 @@ const Profile = () => {
     );
   }
 
-  // handle add friend button click to send mutatioon that adds friend.
-  const handleClick = async () => {
+  // where the logged in user stands with the user whose profile this is.
+  // Used to decide which friend button to show.
+  const myId = Auth.loggedIn() ? Auth.getProfile().data._id : null;
+  const isFriend = user.friends?.some(friend => friend._id === myId);
+  const requestSent = requestData?.sentFriendRequests.some(({ _id }) => _id === user._id);
+  const requestReceived = requestData?.friendRequests.some(({ _id }) => _id === user._id);
+
+  // handle friend button clicks. Each one sends the id of the user whose profile
+  // this is to the matching mutation.
+  const handleFriendClick = async mutation => {
     try {
-      await addFriend({
-        // send the friendId of the friend the logged in user is wanting to add
+      await mutation({
         variables: { id: user._id }
       });
     } catch (e) {
@@ -103,6 +175,65 @@ const Profile = () => {
     }
   };
 
+  // blocking and muting can be undone from the settings page, so the user is told where
+  const handleBlockClick = async (mutation, verb) => {
+    if (!window.confirm(`${verb} ${user.username}? You can undo this on your settings page.`)) {
+      return;
+    }
+
+    try {
+      await mutation({
+        variables: { userId: user._id }
+      });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // once every session is over, this browser's token doesn't work anymore either,
+  // so clear it out the same way the Logout link in the Header does
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) {
+      return;
+    }
+
+    try {
+      await logoutAllDevices();
+      Auth.logout();
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // the friend button for another user's profile, depending on whether they're already
+  // friends, one of them is waiting on the other, or neither has asked yet.
+  let friendButton;
+  if (isFriend) {
+    friendButton = (
+      <button className="btn ml-auto" onClick={() => handleFriendClick(removeFriend)}>
+        Unfriend
+      </button>
+    );
+  } else if (requestReceived) {
+    friendButton = (
+      <button className="btn ml-auto" onClick={() => handleFriendClick(acceptFriendRequest)}>
+        Accept Friend Request
+      </button>
+    );
+  } else if (requestSent) {
+    friendButton = (
+      <button className="btn ml-auto" disabled>
+        Friend Request Sent
+      </button>
+    );
+  } else {
+    friendButton = (
+      <button className="btn ml-auto" onClick={() => handleFriendClick(sendFriendRequest)}>
+        Add Friend
+      </button>
+    );
+  }
+
   return (
     <div>
       <div className="flex-row mb-3">
@@ -112,21 +243,45 @@ const Profile = () => {
           Viewing {userParam ? `${user.username}'s` : 'your'} profile.
         </h2>
 
-        {/* render the add friend button if the user is on any user's profile, except
-        for their own.*/}
-        {userParam && (
-          <button className="btn ml-auto" onClick={handleClick}>
-            Add Friend
+        {/* render the friend button if the user is logged in and on any user's
+        profile, except for their own.*/}
+        {userParam && Auth.loggedIn() && friendButton}
+
+        {userParam && Auth.loggedIn() && (
+          <>
+            <button className="btn ml-2" onClick={() => handleBlockClick(muteUser, 'Mute')}>
+              Mute
+            </button>
+            <button className="btn ml-2" onClick={() => handleBlockClick(blockUser, 'Block')}>
+              Block
+            </button>
+          </>
+        )}
+
+        {/* on their own profile, the user can log out of every device they're logged in on */}
+        {!userParam && (
+          <button className="btn ml-auto" onClick={handleLogoutAllDevices}>
+            Log out of all devices
           </button>
         )}
       </div>
 
+      <ProfileCard user={user} />
+
       <div className="flex-row justify-space-between mb-3">
         <div className="col-12 mb-3 col-lg-8">
-          <ThoughtList thoughts={user.thoughts} title={`${user.username}'s thoughts...`} />
+          <ThoughtList
+            thoughts={thoughts}
+            title={`${user.username}'s thoughts...`}
+            hasMore={hasMore}
+            onLoadMore={loadMore}
+          />
         </div>
 
         <div className="col-12 col-lg-3 mb-3">
+          {/* friend requests waiting on the logged in user, only on their own profile */}
+          {!userParam && <FriendRequests requests={requestData?.friendRequests} />}
+
           {/* send in the user's username, friend count, and friends array
           into the FriendList component as props. */}
           <FriendList
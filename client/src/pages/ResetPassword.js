@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+import { useMutation } from '@apollo/client';
+import { RESET_PASSWORD } from '../utils/mutations';
+
+// see Login.js for more comments.
+// The link in the password reset email brings the user here, with the reset token
+// in the URL. Once the new password is saved, the user logs in with it.
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [formState, setFormState] = useState({ newPassword: '', confirmPassword: '' });
+  const [resetPassword, { data, error }] = useMutation(RESET_PASSWORD);
+
+  // the two password boxes have to match before we send anything
+  const mismatch = formState.confirmPassword && formState.newPassword !== formState.confirmPassword;
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+
+    setFormState({
+      ...formState,
+      [name]: value,
+    });
+  };
+
+  const handleFormSubmit = async (event) => {
+    event.preventDefault();
+
+    if (mismatch) {
+      return;
+    }
+
+    try {
+      await resetPassword({
+        variables: { token, newPassword: formState.newPassword }
+      });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return (
+    <main className='flex-row justify-center mb-4'>
+      <div className='col-12 col-md-6'>
+        <div className='card'>
+          <h4 className='card-header'>Choose a New Password</h4>
+          <div className='card-body'>
+            {data ? (
+              <p>
+                Your password has been changed. <Link to='/login'>Log in</Link> with your new password.
+              </p>
+            ) : (
+              <form onSubmit={handleFormSubmit}>
+                <input
+                  className='form-input'
+                  placeholder='New password'
+                  name='newPassword'
+                  type='password'
+                  id='newPassword'
+                  value={formState.newPassword}
+                  onChange={handleChange}
+                />
+                <input
+                  className='form-input'
+                  placeholder='New password again'
+                  name='confirmPassword'
+                  type='password'
+                  id='confirmPassword'
+                  value={formState.confirmPassword}
+                  onChange={handleChange}
+                />
+                <button className='btn d-block w-100' type='submit'>
+                  Save Password
+                </button>
+              </form>
+            )}
+            {mismatch && <div className='text-error'>The passwords don't match</div>}
+            {/* the server's message says what went wrong, like the link having expired */}
+            {error && <div className='text-error'>{error.message}</div>}
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default ResetPassword;
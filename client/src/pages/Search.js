@@ -0,0 +1,137 @@
+import React from 'react';
+
+// useLocation gives us the current URL, so we can read the search words out of
+// its query string (the ?q=... part), and useHistory lets us change it.
+// Keeping the search in the URL means search results can be bookmarked and the
+// browser's back button works like it does everywhere else.
+import { Link, useLocation, useHistory } from 'react-router-dom';
+
+import { useQuery } from '@apollo/client';
+import { QUERY_SEARCH } from '../utils/queries';
+
+import ThoughtList from '../components/ThoughtList';
+import Highlight from '../components/Highlight';
+
+// the filters the user can pick from, matching the SearchType enum on the server.
+// An empty value searches everything.
+const searchTypes = [
+  { value: '', label: 'Everything' },
+  { value: 'THOUGHT', label: 'Thoughts' },
+  { value: 'REACTION', label: 'Reactions' },
+  { value: 'USER', label: 'Users' }
+];
+
+const Search = () => {
+  const location = useLocation();
+  const history = useHistory();
+
+  // URLSearchParams is built into the browser and parses a query string for us.
+  // The Header's search box sends the user to /search?q=<their search>.
+  const params = new URLSearchParams(location.search);
+  const query = params.get('q') || '';
+  const type = params.get('type') || '';
+
+  // only search once there's something to search for
+  const { loading, data, error } = useQuery(QUERY_SEARCH, {
+    variables: { query, type: type || null },
+    skip: !query.trim()
+  });
+
+  const results = data?.search || [];
+
+  // ThoughtList expects an array of thoughts, but one thought can show up in the
+  // results more than once: for its own text and for each reaction on it that matched.
+  // So combine those into one entry per thought, keeping the order of the best match.
+  const thoughts = [];
+  results.forEach(result => {
+    if (result.type === 'USER') {
+      return;
+    }
+
+    let thought = thoughts.find(({ _id }) => _id === result.thought._id);
+
+    if (!thought) {
+      thought = { ...result.thought };
+      thoughts.push(thought);
+    }
+
+    const highlight = { text: result.snippet, highlights: result.highlights };
+
+    if (result.type === 'THOUGHT') {
+      thought.highlight = highlight;
+    } else {
+      thought.matchedReactions = [
+        ...(thought.matchedReactions || []),
+        { _id: result.reaction._id, username: result.reaction.username, ...highlight }
+      ];
+    }
+  });
+
+  const users = results.filter(result => result.type === 'USER');
+
+  // picking a different filter updates the URL, which runs the search again
+  const handleTypeChange = event => {
+    const newParams = new URLSearchParams(location.search);
+
+    if (event.target.value) {
+      newParams.set('type', event.target.value);
+    } else {
+      newParams.delete('type');
+    }
+
+    history.push(`/search?${newParams.toString()}`);
+  };
+
+  if (!query.trim()) {
+    return <h4>Type something into the search box above to search thoughts, reactions and users.</h4>;
+  }
+
+  return (
+    <main>
+      <div className="flex-row justify-space-between align-center mb-3">
+        <h2 className="bg-dark text-secondary p-3 display-inline-block">
+          Results for "{query}"
+        </h2>
+        <select className="form-input col-12 col-md-3" value={type} onChange={handleTypeChange}>
+          {searchTypes.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : error ? (
+        <div className="text-error">Something went wrong...</div>
+      ) : !results.length ? (
+        <h3>No results found</h3>
+      ) : (
+        <div className="flex-row justify-space-between">
+          {thoughts.length > 0 && (
+            <div className={`col-12 mb-3 ${users.length ? 'col-lg-8' : ''}`}>
+              <ThoughtList thoughts={thoughts} title="Thoughts" />
+            </div>
+          )}
+
+          {/* the users that matched, shown like the FriendList cards */}
+          {users.length > 0 && (
+            <div className={`col-12 mb-3 ${thoughts.length ? 'col-lg-3' : ''}`}>
+              <h5>Users</h5>
+              {users.map(({ user, snippet, highlights }) => (
+                <button className="btn w-100 display-block mb-2" key={user._id}>
+                  <Link to={`/profile/${user.username}`}>
+                    <Highlight text={snippet} highlights={highlights} />
+                  </Link>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default Search;
@@ -0,0 +1,451 @@
+import React, { useEffect, useState } from 'react';
+import { Redirect } from 'react-router-dom';
+
+import { useQuery, useMutation, useApolloClient } from '@apollo/client';
+import { QUERY_ME_BASIC, QUERY_EXPORT_MY_DATA, QUERY_BLOCKED_USERS } from '../utils/queries';
+import {
+  UPDATE_PROFILE,
+  UPLOAD_AVATAR,
+  REMOVE_AVATAR,
+  CHANGE_EMAIL,
+  CHANGE_PASSWORD,
+  DELETE_ACCOUNT,
+  UNBLOCK_USER,
+  UNMUTE_USER
+} from '../utils/mutations';
+
+import Avatar from '../components/Avatar';
+
+import Auth from '../utils/auth';
+import evictBlockedContent from '../utils/evictBlockedContent';
+
+// see Login.js for more comments.
+// The logged in user can fill in their profile, change their username, email and
+// password here, unblock and unmute other users, download their data, or delete their account. Each form has its own mutation, so an error
+// in one doesn't show up under the others.
+const Settings = () => {
+  const client = useApolloClient();
+  const { data } = useQuery(QUERY_ME_BASIC);
+  const me = data?.me || {};
+
+  const [profileState, setProfileState] = useState({ displayName: '', bio: '', location: '', website: '' });
+  const [username, setUsername] = useState('');
+  const [emailState, setEmailState] = useState({ newEmail: '', currentPassword: '' });
+  const [passwordState, setPasswordState] = useState({ currentPassword: '', newPassword: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [exportError, setExportError] = useState(false);
+
+  // the username and the rest of the profile are both changed with updateProfile, but
+  // each form gets its own copy of the mutation so their errors are kept apart
+  const [updateProfile, { error: profileError }] = useMutation(UPDATE_PROFILE);
+  const [updateUsername, { error: usernameError }] = useMutation(UPDATE_PROFILE);
+  const [uploadAvatar, { loading: uploading, error: avatarError }] = useMutation(UPLOAD_AVATAR);
+  const [removeAvatar] = useMutation(REMOVE_AVATAR);
+  const [changeEmail, { error: emailError }] = useMutation(CHANGE_EMAIL);
+  const [changePassword, { error: passwordError }] = useMutation(CHANGE_PASSWORD);
+  const [deleteAccount, { error: deleteError }] = useMutation(DELETE_ACCOUNT);
+
+  // the users the logged in user has blocked or muted. Unblocking or unmuting brings
+  // their thoughts back, so the cached lists are thrown out like in Profile.js.
+  const { data: blockedData } = useQuery(QUERY_BLOCKED_USERS, { skip: !Auth.loggedIn() });
+  const [unblockUser] = useMutation(UNBLOCK_USER, { update: evictBlockedContent });
+  const [unmuteUser] = useMutation(UNMUTE_USER, { update: evictBlockedContent });
+
+  // fill in the profile form with what the user already has, once it's loaded
+  useEffect(() => {
+    if (data?.me) {
+      setProfileState({
+        displayName: data.me.displayName || '',
+        bio: data.me.bio || '',
+        location: data.me.location || '',
+        website: data.me.website || ''
+      });
+    }
+  }, [data]);
+
+  if (!Auth.loggedIn()) {
+    return <Redirect to='/login' />;
+  }
+
+  // save the new token the server sent back, then refetch everything on the page.
+  // A new username changes the thoughts, reactions and notifications already in the
+  // cache, so it's easier to get them all again than to update each one.
+  const saveToken = async (token, text) => {
+    Auth.updateToken(token);
+    setMessage(text);
+    await client.resetStore();
+  };
+
+  const handleProfileChange = (event) => {
+    const { name, value } = event.target;
+
+    setProfileState({
+      ...profileState,
+      [name]: value,
+    });
+  };
+
+  // the profile fields aren't in the token, and the updated user comes back with
+  // its _id, so the cache updates itself without resetting the store
+  const handleProfileSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      await updateProfile({ variables: { ...profileState } });
+      setMessage('Your profile has been saved.');
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // the chosen file is sent as it is, in a multipart request (see the upload link in
+  // App.js). The server checks the type and size, and resizes it.
+  const handleAvatarChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      await uploadAvatar({ variables: { image: file } });
+      setMessage('Your avatar has been changed.');
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const handleRemoveAvatar = async () => {
+    try {
+      await removeAvatar();
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const handleUsernameSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await updateUsername({ variables: { username } });
+      await saveToken(
+        data.updateProfile.token,
+        'Your username has been changed, and you have been logged out on your other devices.'
+      );
+      setUsername('');
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const handleEmailSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await changeEmail({ variables: { ...emailState } });
+      await saveToken(
+        data.changeEmail.token,
+        'Your email has been changed. Check your inbox for a link to verify it.'
+      );
+      setEmailState({ newEmail: '', currentPassword: '' });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const handlePasswordSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await changePassword({ variables: { ...passwordState } });
+      await saveToken(
+        data.changePassword.token,
+        'Your password has been changed, and you have been logged out on your other devices.'
+      );
+      setPasswordState({ currentPassword: '', newPassword: '' });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // unblocks or unmutes a user. The mutation returns the updated lists, so the user
+  // drops out of the card on its own.
+  const handleUnblock = async (mutation, userId) => {
+    try {
+      await mutation({ variables: { userId } });
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // the export is only fetched when the button is clicked, and always straight from
+  // the server so it's up to date. The JSON string is turned into a file the browser
+  // downloads by clicking a temporary link to it.
+  const handleExport = async () => {
+    setExportError(false);
+
+    try {
+      const { data } = await client.query({
+        query: QUERY_EXPORT_MY_DATA,
+        fetchPolicy: 'network-only'
+      });
+
+      const url = URL.createObjectURL(new Blob([data.exportMyData], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `deep-thoughts-${me.username || 'export'}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error(e);
+      setExportError(true);
+    }
+  };
+
+  const handleDeleteSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!window.confirm('This will delete your account and everything you have posted. This cannot be undone. Are you sure?')) {
+      return;
+    }
+
+    try {
+      await deleteAccount({ variables: { password: deletePassword } });
+      // the server already ended the session, this just clears the token and reloads
+      Auth.logout();
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return (
+    <main className='flex-row justify-center mb-4'>
+      <div className='col-12 col-md-6'>
+        {message && <p className='mb-3'>{message}</p>}
+
+        <div className='card'>
+          <h4 className='card-header'>Profile</h4>
+          <div className='card-body'>
+            <div className='flex-row align-center mb-3'>
+              <Avatar username={me.username} avatarUrl={me.avatarUrl} size='lg' />
+              <div className='ml-3'>
+                <label className='btn display-block mb-2'>
+                  {uploading ? 'Uploading...' : 'Upload Avatar'}
+                  {/* the real file input is hidden, and clicking the label opens it */}
+                  <input
+                    type='file'
+                    accept='image/jpeg,image/png,image/webp,image/gif'
+                    onChange={handleAvatarChange}
+                    style={{ display: 'none' }}
+                  />
+                </label>
+                {me.avatarUrl && (
+                  <button className='btn display-block' type='button' onClick={handleRemoveAvatar}>
+                    Remove Avatar
+                  </button>
+                )}
+              </div>
+            </div>
+            {avatarError && <div className='text-error'>{avatarError.message}</div>}
+            <form onSubmit={handleProfileSubmit}>
+              <input
+                className='form-input'
+                placeholder='Display name'
+                name='displayName'
+                type='text'
+                id='displayName'
+                value={profileState.displayName}
+                onChange={handleProfileChange}
+              />
+              <textarea
+                className='form-input'
+                placeholder='A little about yourself'
+                name='bio'
+                id='bio'
+                value={profileState.bio}
+                onChange={handleProfileChange}
+              />
+              <input
+                className='form-input'
+                placeholder='Location'
+                name='location'
+                type='text'
+                id='location'
+                value={profileState.location}
+                onChange={handleProfileChange}
+              />
+              <input
+                className='form-input'
+                placeholder='Website, like https://example.com'
+                name='website'
+                type='url'
+                id='website'
+                value={profileState.website}
+                onChange={handleProfileChange}
+              />
+              <button className='btn d-block w-100' type='submit'>
+                Save Profile
+              </button>
+            </form>
+            {profileError && <div className='text-error'>{profileError.message}</div>}
+          </div>
+        </div>
+
+        <div className='card'>
+          <h4 className='card-header'>Change Username</h4>
+          <div className='card-body'>
+            <form onSubmit={handleUsernameSubmit}>
+              <input
+                className='form-input'
+                placeholder={me.username || 'New username'}
+                name='username'
+                type='text'
+                id='username'
+                value={username}
+                onChange={(event) => setUsername(event.target.value)}
+              />
+              <button className='btn d-block w-100' type='submit'>
+                Save Username
+              </button>
+            </form>
+            {usernameError && <div className='text-error'>{usernameError.message}</div>}
+          </div>
+        </div>
+
+        <div className='card'>
+          <h4 className='card-header'>Change Email</h4>
+          <div className='card-body'>
+            <form onSubmit={handleEmailSubmit}>
+              <input
+                className='form-input'
+                placeholder={me.email || 'New email'}
+                name='newEmail'
+                type='email'
+                id='newEmail'
+                value={emailState.newEmail}
+                onChange={(event) => setEmailState({ ...emailState, newEmail: event.target.value })}
+              />
+              <input
+                className='form-input'
+                placeholder='Current password'
+                name='currentPassword'
+                type='password'
+                id='emailCurrentPassword'
+                value={emailState.currentPassword}
+                onChange={(event) =>
+                  setEmailState({ ...emailState, currentPassword: event.target.value })
+                }
+              />
+              <button className='btn d-block w-100' type='submit'>
+                Save Email
+              </button>
+            </form>
+            {emailError && <div className='text-error'>{emailError.message}</div>}
+          </div>
+        </div>
+
+        <div className='card'>
+          <h4 className='card-header'>Change Password</h4>
+          <div className='card-body'>
+            <form onSubmit={handlePasswordSubmit}>
+              <input
+                className='form-input'
+                placeholder='Current password'
+                name='currentPassword'
+                type='password'
+                id='currentPassword'
+                value={passwordState.currentPassword}
+                onChange={(event) =>
+                  setPasswordState({ ...passwordState, currentPassword: event.target.value })
+                }
+              />
+              <input
+                className='form-input'
+                placeholder='New password'
+                name='newPassword'
+                type='password'
+                id='newPassword'
+                value={passwordState.newPassword}
+                onChange={(event) =>
+                  setPasswordState({ ...passwordState, newPassword: event.target.value })
+                }
+              />
+              <button className='btn d-block w-100' type='submit'>
+                Save Password
+              </button>
+            </form>
+            {passwordError && <div className='text-error'>{passwordError.message}</div>}
+          </div>
+        </div>
+
+        <div className='card'>
+          <h4 className='card-header'>Blocked and Muted Users</h4>
+          <div className='card-body'>
+            {[
+              { title: 'Blocked', users: blockedData?.me?.blocked, mutation: unblockUser, action: 'Unblock' },
+              { title: 'Muted', users: blockedData?.me?.muted, mutation: unmuteUser, action: 'Unmute' }
+            ].map(({ title, users, mutation, action }) => (
+              <div key={title} className='mb-3'>
+                <h5>{title}</h5>
+                {!users?.length && <p className='m-0'>Nobody yet.</p>}
+                {users?.map(user => (
+                  <div key={user._id} className='flex-row align-center justify-space-between mb-2'>
+                    <span>
+                      <Avatar username={user.username} avatarUrl={user.avatarUrl} />
+                      {user.username}
+                    </span>
+                    <button className='btn' type='button' onClick={() => handleUnblock(mutation, user._id)}>
+                      {action}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className='card'>
+          <h4 className='card-header'>Your Data</h4>
+          <div className='card-body'>
+            <p>
+              Download your profile, thoughts, reactions and friends list as a JSON file.
+            </p>
+            <button className='btn d-block w-100' type='button' onClick={handleExport}>
+              Download My Data
+            </button>
+            {exportError && <div className='text-error'>Something went wrong...</div>}
+          </div>
+        </div>
+
+        <div className='card'>
+          <h4 className='card-header'>Delete Account</h4>
+          <div className='card-body'>
+            <p>
+              Your thoughts, reactions, likes and friendships will be deleted along with
+              your account. You may want to download your data first.
+            </p>
+            <form onSubmit={handleDeleteSubmit}>
+              <input
+                className='form-input'
+                placeholder='Your password'
+                name='password'
+                type='password'
+                id='deletePassword'
+                value={deletePassword}
+                onChange={(event) => setDeletePassword(event.target.value)}
+              />
+              <button className='btn d-block w-100' type='submit'>
+                Delete My Account
+              </button>
+            </form>
+            {deleteError && <div className='text-error'>{deleteError.message}</div>}
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default Settings;
@@ -6,6 +6,9 @@ import { ADD_USER } from '../utils/mutations';
 // see utils/auth.js
 import Auth from '../utils/auth';
 
+// shows how long to wait when the server says to slow down
+import errorMessage from '../utils/errorMessage';
+
 const Signup = () => {
   const [formState, setFormState] = useState({ username: '', email: '', password: '' });
 
@@ -107,7 +110,7 @@ const Signup = () => {
             unique, the user will be notified. Luckily for us, we already have the ability to 
             capture the error, as we set up with the destructured error object towards the 
             top of the component. Let's put that to use in our returning JSX. */}
-            {error && <div>Sign up failed</div>}
+            {error && <div>{errorMessage(error, 'Sign up failed')}</div>}
           </div>
         </div>
       </div>
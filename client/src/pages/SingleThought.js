@@ -9,16 +9,35 @@ import React from 'react';
 // How would you access the ID from the URL, though? You could use something 
 // like document.location to parse out the ID, but React Router has 
 // a better method built in called useParams.
-import { useParams } from 'react-router-dom';
+import { useParams, useHistory } from 'react-router-dom';
 
 // query the database for the single thought query.
-import { useQuery } from '@apollo/client';
+import { useQuery, useSubscription } from '@apollo/client';
 import { QUERY_THOUGHT } from '../utils/queries';
+import { REACTION_ADDED } from '../utils/subscriptions';
 
 import ReactionList from '../components/ReactionList';
 
 import ReactionForm from '../components/ReactionForm';
 
+// edit and delete buttons for the thought, only shown to its author.
+import ThoughtActions from '../components/ThoughtActions';
+
+// turns #tags and @mentions in the thought's text into links
+import ThoughtText from '../components/ThoughtText';
+
+// the heart for liking the thought
+import LikeButton from '../components/LikeButton';
+
+// the full size images attached to the thought
+import ImageGallery from '../components/ImageGallery';
+
+// lets users report the thought to the moderators
+import ReportButton from '../components/ReportButton';
+
+// who can see the thought, if it isn't everyone
+import VisibilityLabel from '../components/VisibilityLabel';
+
 import Auth from '../utils/auth';
 
 
@@ -30,6 +49,10 @@ const SingleThought = props => {
   // thoughtID.
   const { id: thoughtId } = useParams();
 
+  // useHistory gives us React Router's history object so we can send the user
+  // somewhere else after they delete the thought this page is showing.
+  const history = useHistory();
+
   const { loading, data } = useQuery(QUERY_THOUGHT, {
     // This is how you can pass variables to queries that need them. 
     // The id property on the variables object will become the $id 
@@ -38,6 +61,13 @@ const SingleThought = props => {
     // we put in the value retieved in the thoughtId variable above.
     variables: { id: thoughtId }
   });
+
+  // While the page is open, the server sends us this thought again whenever someone
+  // reacts to it. It comes back with the same _id, so Apollo updates the cached
+  // thought and the new reaction shows up in the list without us doing anything else.
+  useSubscription(REACTION_ADDED, {
+    variables: { thoughtId }
+  });
   
   // What we're saying is, if data exists, store it in the thought constant we just created. 
   // If data is undefined, then save an empty object to the thought constant. Since this is React,
@@ -49,6 +79,12 @@ const SingleThought = props => {
     return <div>Loading...</div>;
   }
 
+  // the server sends back null for a thought that was deleted, hidden by a moderator,
+  // or that the user isn't allowed to see
+  if (!data?.thought) {
+    return <h4>This thought doesn't exist, or you can't see it.</h4>;
+  }
+
   // Once the thought data is no longer loading and is received, capture the data in this HTML
   // and send this back.
   return (
@@ -59,9 +95,22 @@ const SingleThought = props => {
             {thought.username}
           </span>{' '}
           thought on {thought.createdAt}
+          <VisibilityLabel visibility={thought.visibility} />
         </p>
         <div className="card-body">
-          <p>{thought.thoughtText}</p>
+          {/* only the author and moderators can see a hidden thought at all */}
+          {thought.hidden && (
+            <p className="text-error">This thought has been hidden by a moderator.</p>
+          )}
+          <p>
+            <ThoughtText text={thought.thoughtText} mentions={thought.mentions} />
+          </p>
+          <ImageGallery images={thought.images} full />
+          <LikeButton thought={thought} />
+          <ReportButton thoughtId={thought._id} username={thought.username} />
+          {/* once the thought is deleted there's nothing left to show on this
+          page, so take the user back to their profile. */}
+          <ThoughtActions thought={thought} onRemove={() => history.push('/profile')} />
         </div>
       </div>
 
@@ -73,8 +122,15 @@ const SingleThought = props => {
       so we made the ReactionList component. 
       Render the component if the current thought has any reactions. 
       passing in the reactions array as a prop to the ReactionList component. 
-      props.reactions */}
-      {thought.reactionCount > 0 && <ReactionList reactions={thought.reactions} />}
+      props.reactions. The thought's id and author are passed in too so the
+      reactions can be edited and deleted. */}
+      {thought.reactionCount > 0 && (
+        <ReactionList
+          reactions={thought.reactions}
+          thoughtId={thought._id}
+          thoughtUsername={thought.username}
+        />
+      )}
 
       {/* render the form to add a reaction if the user viewing the page is logged in.
       pass in the id of the thought that is being displayed. */}
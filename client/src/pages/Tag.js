@@ -0,0 +1,47 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+
+import { QUERY_THOUGHTS_BY_TAG } from '../utils/queries';
+
+// loads the tag's thoughts a page at a time, see Home.js
+import usePaginatedThoughts from '../utils/usePaginatedThoughts';
+
+import ThoughtList from '../components/ThoughtList';
+import TrendingTags from '../components/TrendingTags';
+
+// Lists every thought with a #tag, newest first. Clicking a tag in a thought
+// or in the trending tags brings the user here.
+const Tag = () => {
+  // the tag from the /tag/:tag URL
+  const { tag } = useParams();
+
+  const { loading, thoughts, hasMore, loadMore } = usePaginatedThoughts(
+    { variables: { tag } },
+    QUERY_THOUGHTS_BY_TAG,
+    'thoughtsByTag'
+  );
+
+  return (
+    <main>
+      <div className="flex-row justify-space-between">
+        <div className="col-12 mb-3 col-lg-8">
+          {loading ? (
+            <div>Loading...</div>
+          ) : (
+            <ThoughtList
+              thoughts={thoughts}
+              title={`Thoughts tagged #${tag}`}
+              hasMore={hasMore}
+              onLoadMore={loadMore}
+            />
+          )}
+        </div>
+        <div className="col-12 col-lg-3 mb-3">
+          <TrendingTags />
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default Tag;
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+import { useMutation } from '@apollo/client';
+import { VERIFY_EMAIL } from '../utils/mutations';
+
+// The link in the verification email brings the user here, with the token in the URL.
+// There's nothing for the user to fill in, so the token is sent as soon as the page loads.
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const [verifyEmail, { data, error }] = useMutation(VERIFY_EMAIL);
+
+  // A token can only be used once, so sending it again would fail. The effect can run
+  // more than once, like when the component re-renders with a new verifyEmail function,
+  // so the token that was sent is saved in a ref and only a different one is sent.
+  const sentToken = useRef(null);
+
+  useEffect(() => {
+    if (sentToken.current === token) {
+      return;
+    }
+
+    sentToken.current = token;
+    verifyEmail({ variables: { token } }).catch(e => console.error(e));
+  }, [verifyEmail, token]);
+
+  return (
+    <main className='flex-row justify-center mb-4'>
+      <div className='col-12 col-md-6'>
+        <div className='card'>
+          <h4 className='card-header'>Verify Your Email</h4>
+          <div className='card-body'>
+            {data ? (
+              <p>
+                Thanks, your email address is verified! <Link to='/'>Back to the thoughts</Link>
+              </p>
+            ) : error ? (
+              <p className='text-error'>{error.message}</p>
+            ) : (
+              <p>Verifying...</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,35 @@
+// Adds a new thought to the top of cached paginated thought lists, so it shows up
+// without asking the server for the whole list again. Used by ThoughtForm when the
+// logged in user posts a thought, and by the Home page when the thoughtAdded
+// subscription tells us someone else posted one.
+// lists is an array of { query, field, variables }, one for each cached list to add
+// the thought to, like { query: QUERY_FEED, field: 'feed', variables: {} }.
+// Each edge normally comes with a cursor from the server, but the new thought
+// doesn't have one. That's fine, because fetchMore() only ever needs the cursor
+// of the last thought in the list, which doesn't change.
+const addThoughtToCache = (cache, thought, lists) => {
+  lists.forEach(({ query, field, variables }) => {
+    // the list might not have been loaded yet, in which case readQuery returns null
+    // and there's nothing to add to. It'll have the thought in it when it is loaded.
+    const data = cache.readQuery({ query, variables });
+
+    // our own thoughts come back from the addThought mutation and the subscription,
+    // in whichever order, so only add each thought once
+    if (!data || data[field].edges.some(edge => edge.node._id === thought._id)) {
+      return;
+    }
+
+    cache.writeQuery({
+      query,
+      variables,
+      data: {
+        [field]: {
+          ...data[field],
+          edges: [{ __typename: 'ThoughtEdge', cursor: null, node: thought }, ...data[field].edges]
+        }
+      }
+    });
+  });
+};
+
+export default addThoughtToCache;
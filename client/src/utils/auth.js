@@ -10,6 +10,22 @@
 // token is still valid. If it is, we'll make the request.
 import decode from 'jwt-decode';
 
+// print() turns a gql query back into the string that gets sent to the server
+import { print } from 'graphql';
+import { REFRESH_TOKEN, LOGOUT } from './mutations';
+
+// sends a mutation straight to the server with fetch() instead of through Apollo Client.
+// The refresh and logout mutations are run from inside Apollo Client's links (see App.js),
+// and going through the client again from there would run them through the same links.
+// credentials: 'same-origin' makes sure the browser sends the refresh token cookie.
+const postMutation = mutation =>
+    fetch('/graphql', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify({ query: print(mutation) })
+    }).then(res => res.json());
+
 // We don't want to directly couple our authentication functionality 
 // to any one component, as many of our 
 // components will need to use it. Instead, we'll create another file for all of it.
@@ -21,11 +37,10 @@ import decode from 'jwt-decode';
 // token every time we make a GraphQL request. We'll need to import another function 
 // from Apollo Client that will retrieve the token from localStorage and include it with 
 // each request to the API. We will do that with setContext in App.js.
-// Notice how the logging out functionality does not interact with the server. This is one 
-// of the perks of using JSON Web Tokens. Because the server doesn't keep track of who's 
-// logged in, it also doesn't need to know who's trying to leave either. Because of this, 
-// we can avoid users making needless requests to the server and seriously reduce 
-// the amount of work it has to do.
+// The server now keeps a session for each device a user is logged in on, so logging out
+// tells the server to end that session. Otherwise a stolen token would keep working after
+// the user logged out. JWTs only last 15 minutes, and the session's refresh token (kept in
+// a cookie by the browser) is used to get a new one whenever it expires.
 class AuthService {
     // retrieve data saved in token
     getProfile() {
@@ -35,11 +50,13 @@ class AuthService {
     // check if the user is still logged in
     // if we call the .loggedIn() method from a component, we'll get a 
     // simple true or false in return
+    // An expired token still counts, because it will be refreshed the next time a
+    // request is made. If the session can't be refreshed, the user is logged out then.
     loggedIn() {
-        // Checks if there is a saved token and it's still valid
+        // Checks if there is a saved token
         const token = this.getToken();
-        // use type coersion to check if token is NOT undefined and the token is NOT expired
-        return !!token && !this.isTokenExpired(token);
+        // use type coersion to check if token is NOT undefined
+        return !!token;
     }
 
     // check if the token has expired
@@ -62,6 +79,47 @@ class AuthService {
         return localStorage.getItem('id_token');
     }
 
+    // asks the server for a new token using the refresh token cookie, and saves it.
+    // Resolves to the new token, or null if the session is over and the user has to
+    // log in again. If several requests need a new token at once, they all wait on
+    // the same refresh instead of each starting their own.
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = postMutation(REFRESH_TOKEN)
+                .then(({ data }) => {
+                    const token = data?.refreshToken?.token || null;
+
+                    if (token) {
+                        localStorage.setItem('id_token', token);
+                    }
+
+                    return token;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+
+        return this.refreshing;
+    }
+
+    // the saved token, refreshed first if it has expired. Used by App.js before
+    // sending requests. If the refresh fails the old token is sent anyway, and the
+    // server treats the request as logged out.
+    async getFreshToken() {
+        const token = this.getToken();
+
+        if (!token || !this.isTokenExpired(token)) {
+            return token;
+        }
+
+        try {
+            return (await this.refresh()) || token;
+        } catch (err) {
+            return token;
+        }
+    }
+
     // set token to localStorage and reload page to homepage
     login(idToken) {
         // Saves user token to localStorage
@@ -70,8 +128,21 @@ class AuthService {
         window.location.assign('/');
     }
 
-    // clear token from localStorage and force logout with reload
-    logout() {
+    // save a new token without reloading the page, for when the user changes their
+    // username or email on the settings page and the server sends back a new token
+    updateToken(idToken) {
+        localStorage.setItem('id_token', idToken);
+    }
+
+    // end the session on the server, then clear token from localStorage and force logout with reload.
+    // The token is cleared even if the server can't be reached.
+    async logout() {
+        try {
+            await postMutation(LOGOUT);
+        } catch (err) {
+            console.error(err);
+        }
+
         // Clear user token and profile data from localStorage
         localStorage.removeItem('id_token');
         // this will reload the page and reset the state of the application
@@ -0,0 +1,11 @@
+// What to show the user when a mutation fails. Most forms show a general message, like
+// "Login failed", but when the server refuses because the user is going too fast (the
+// RATE_LIMITED code, see server/utils/rateLimit.js) its message says how long to wait,
+// so that's shown instead.
+const errorMessage = (error, fallback) => {
+  const rateLimited = error?.graphQLErrors?.find(e => e.extensions?.code === 'RATE_LIMITED');
+
+  return rateLimited ? rateLimited.message : fallback;
+};
+
+export default errorMessage;
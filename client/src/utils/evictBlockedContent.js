@@ -0,0 +1,12 @@
+// Blocking, muting, or taking either back changes which thoughts, reactions and users
+// the server sends the logged in user, everywhere. Rather than picking through every
+// cached list, the lists are thrown out of the cache and loaded fresh the next time
+// they're shown. gc() then cleans up the thoughts nothing points at anymore.
+const FIELDS = ['feed', 'thoughts', 'thoughtsConnection', 'thoughtsByTag', 'thought', 'search', 'user', 'users'];
+
+const evictBlockedContent = cache => {
+  FIELDS.forEach(fieldName => cache.evict({ id: 'ROOT_QUERY', fieldName }));
+  cache.gc();
+};
+
+export default evictBlockedContent;
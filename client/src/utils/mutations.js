@@ -38,9 +38,188 @@ export const ADD_USER = gql`
   }
 `;
 
-export const ADD_FRIEND = gql`
-  mutation addFriend($id: ID!) {
-    addFriend(friendId: $id) {
+// trade the refresh token cookie for a new JWT when the old one expires. The cookie is
+// sent by the browser on its own, so there are no variables. See AuthService.refresh()
+// in utils/auth.js, which runs this without going through Apollo Client.
+export const REFRESH_TOKEN = gql`
+  mutation refreshToken {
+    refreshToken {
+      token
+    }
+  }
+`;
+
+// end the session this browser is logged in with, see AuthService.logout()
+export const LOGOUT = gql`
+  mutation logout {
+    logout
+  }
+`;
+
+// end every session the logged in user has, on every device
+export const LOGOUT_ALL_DEVICES = gql`
+  mutation logoutAllDevices {
+    logoutAllDevices
+  }
+`;
+
+// email the user a link to reset their password. Always returns true, even if
+// there's no account with that email.
+export const REQUEST_PASSWORD_RESET = gql`
+  mutation requestPasswordReset($email: String!) {
+    requestPasswordReset(email: $email)
+  }
+`;
+
+// choose a new password, with the token from the link in the reset email
+export const RESET_PASSWORD = gql`
+  mutation resetPassword($token: String!, $newPassword: String!) {
+    resetPassword(token: $token, newPassword: $newPassword)
+  }
+`;
+
+// verify the user's email address, with the token from the link in the verification email
+export const VERIFY_EMAIL = gql`
+  mutation verifyEmail($token: String!) {
+    verifyEmail(token: $token) {
+      _id
+      emailVerified
+    }
+  }
+`;
+
+// account settings. Each of these returns a new token, since the old one has the
+// old username and email in it, along with the updated user.
+export const UPDATE_PROFILE = gql`
+  mutation updateProfile(
+    $username: String
+    $displayName: String
+    $bio: String
+    $location: String
+    $website: String
+  ) {
+    updateProfile(
+      username: $username
+      displayName: $displayName
+      bio: $bio
+      location: $location
+      website: $website
+    ) {
+      token
+      user {
+        _id
+        username
+        displayName
+        bio
+        location
+        website
+      }
+    }
+  }
+`;
+
+// set or remove the logged in user's avatar. $image is the image File the user picked,
+// see the Settings page. Returns the user with the new avatarUrl, so every avatar of
+// theirs that's already on the page updates too.
+export const UPLOAD_AVATAR = gql`
+  mutation uploadAvatar($image: Upload!) {
+    uploadAvatar(image: $image) {
+      _id
+      avatarUrl
+    }
+  }
+`;
+
+export const REMOVE_AVATAR = gql`
+  mutation removeAvatar {
+    removeAvatar {
+      _id
+      avatarUrl
+    }
+  }
+`;
+
+export const CHANGE_EMAIL = gql`
+  mutation changeEmail($newEmail: String!, $currentPassword: String!) {
+    changeEmail(newEmail: $newEmail, currentPassword: $currentPassword) {
+      token
+      user {
+        _id
+        email
+        emailVerified
+      }
+    }
+  }
+`;
+
+export const CHANGE_PASSWORD = gql`
+  mutation changePassword($currentPassword: String!, $newPassword: String!) {
+    changePassword(currentPassword: $currentPassword, newPassword: $newPassword) {
+      token
+      user {
+        _id
+      }
+    }
+  }
+`;
+
+// permanently delete the logged in user's account and everything they've posted
+export const DELETE_ACCOUNT = gql`
+  mutation deleteAccount($password: String!) {
+    deleteAccount(password: $password)
+  }
+`;
+
+// friend requests. Friendships are mutual, so adding a friend is a two step
+// process: one user sends a request, and the other user accepts or declines it.
+// sendFriendRequest returns the user the request was sent to.
+export const SEND_FRIEND_REQUEST = gql`
+  mutation sendFriendRequest($id: ID!) {
+    sendFriendRequest(friendId: $id) {
+      _id
+      username
+      friendCount
+      friends {
+        _id
+        username
+      }
+    }
+  }
+`;
+
+// the other friend mutations all return the logged in user, so their cached
+// friend list updates as soon as the mutation finishes.
+export const ACCEPT_FRIEND_REQUEST = gql`
+  mutation acceptFriendRequest($id: ID!) {
+    acceptFriendRequest(friendId: $id) {
+      _id
+      username
+      friendCount
+      friends {
+        _id
+        username
+      }
+    }
+  }
+`;
+
+export const DECLINE_FRIEND_REQUEST = gql`
+  mutation declineFriendRequest($id: ID!) {
+    declineFriendRequest(friendId: $id) {
+      _id
+      username
+      friendCount
+      friends {
+        _id
+        username
+      }
+    }
+  }
+`;
+
+export const REMOVE_FRIEND = gql`
+  mutation removeFriend($id: ID!) {
+    removeFriend(friendId: $id) {
       _id
       username
       friendCount
@@ -53,15 +232,31 @@ export const ADD_FRIEND = gql`
 `;
 
 // used in ThoughtForm component. adds a user's thought to the 
-// database.
+// database. $images is a list of image files picked by the user, which
+// createUploadLink in App.js sends along with the mutation.
 export const ADD_THOUGHT = gql`
-  mutation addThought($thoughtText: String!) {
-    addThought(thoughtText: $thoughtText) {
+  mutation addThought($thoughtText: String!, $images: [Upload], $visibility: Visibility) {
+    addThought(thoughtText: $thoughtText, images: $images, visibility: $visibility) {
       _id
       thoughtText
       createdAt
+      visibility
       username
+      author {
+        _id
+        avatarUrl
+      }
+      tags
+      mentions
+      images {
+        url
+        thumbnailUrl
+        width
+        height
+      }
       reactionCount
+      likeCount
+      likedByMe
       reactions {
         _id
       }
@@ -69,18 +264,331 @@ export const ADD_THOUGHT = gql`
   }
 `;
 
-// add a reaction to a thought
+// edit the text of one of the logged in user's thoughts.
+// Because the updated thought comes back with its _id, Apollo finds the
+// cached copy of it and updates it everywhere it is displayed for us.
+export const UPDATE_THOUGHT = gql`
+  mutation updateThought($thoughtId: ID!, $thoughtText: String!) {
+    updateThought(thoughtId: $thoughtId, thoughtText: $thoughtText) {
+      _id
+      thoughtText
+      tags
+      mentions
+    }
+  }
+`;
+
+// delete one of the logged in user's thoughts. Unlike updates, the
+// cached thought lists need to be updated by hand after this runs, see
+// the ThoughtActions component.
+export const REMOVE_THOUGHT = gql`
+  mutation removeThought($thoughtId: ID!) {
+    removeThought(thoughtId: $thoughtId) {
+      _id
+    }
+  }
+`;
+
+// add a reaction to a thought, or a reply to one of its reactions when
+// $parentReactionId is the id of the reaction being replied to
 export const ADD_REACTION = gql`
-  mutation addReaction($thoughtId: ID!, $reactionBody: String!) {
-    addReaction(thoughtId: $thoughtId, reactionBody: $reactionBody) {
+  mutation addReaction($thoughtId: ID!, $reactionBody: String!, $parentReactionId: ID) {
+    addReaction(thoughtId: $thoughtId, reactionBody: $reactionBody, parentReactionId: $parentReactionId) {
+      _id
+      reactionCount
+      likeCount
+      likedByMe
+      reactions {
+        _id
+        reactionBody
+        parentReactionId
+        createdAt
+        username
+        author {
+          _id
+          avatarUrl
+        }
+        tags
+        mentions
+        likeCount
+        likedByMe
+      }
+    }
+  }
+`;
+
+// edit the body of one of the logged in user's reactions.
+// Like addReaction, these return the parent thought with its updated reactions
+// array, so the cache updates itself without an update function.
+export const UPDATE_REACTION = gql`
+  mutation updateReaction($thoughtId: ID!, $reactionId: ID!, $reactionBody: String!) {
+    updateReaction(thoughtId: $thoughtId, reactionId: $reactionId, reactionBody: $reactionBody) {
+      _id
+      reactionCount
+      likeCount
+      likedByMe
+      reactions {
+        _id
+        reactionBody
+        parentReactionId
+        createdAt
+        username
+        author {
+          _id
+          avatarUrl
+        }
+        tags
+        mentions
+        likeCount
+        likedByMe
+      }
+    }
+  }
+`;
+
+// delete a reaction, either the logged in user's own or one left on their thought.
+export const REMOVE_REACTION = gql`
+  mutation removeReaction($thoughtId: ID!, $reactionId: ID!) {
+    removeReaction(thoughtId: $thoughtId, reactionId: $reactionId) {
       _id
       reactionCount
+      likeCount
+      likedByMe
       reactions {
         _id
         reactionBody
+        parentReactionId
         createdAt
         username
+        author {
+          _id
+          avatarUrl
+        }
+        tags
+        mentions
+        likeCount
+        likedByMe
+      }
+    }
+  }
+`;
+
+// like or unlike a thought. Only the like fields are asked for, which is all
+// that changes, and the thought's _id lets Apollo update the cached thought.
+export const LIKE_THOUGHT = gql`
+  mutation likeThought($thoughtId: ID!) {
+    likeThought(thoughtId: $thoughtId) {
+      _id
+      likeCount
+      likedByMe
+    }
+  }
+`;
+
+export const UNLIKE_THOUGHT = gql`
+  mutation unlikeThought($thoughtId: ID!) {
+    unlikeThought(thoughtId: $thoughtId) {
+      _id
+      likeCount
+      likedByMe
+    }
+  }
+`;
+
+// like or unlike a reaction. These return the parent thought like the other
+// reaction mutations, with just the like fields of each of its reactions.
+export const LIKE_REACTION = gql`
+  mutation likeReaction($thoughtId: ID!, $reactionId: ID!) {
+    likeReaction(thoughtId: $thoughtId, reactionId: $reactionId) {
+      _id
+      reactions {
+        _id
+        likeCount
+        likedByMe
+      }
+    }
+  }
+`;
+
+export const UNLIKE_REACTION = gql`
+  mutation unlikeReaction($thoughtId: ID!, $reactionId: ID!) {
+    unlikeReaction(thoughtId: $thoughtId, reactionId: $reactionId) {
+      _id
+      reactions {
+        _id
+        likeCount
+        likedByMe
+      }
+    }
+  }
+`;
+
+// mark notifications as read, all of them if no ids are passed in. Returns the
+// notifications that changed, so their cached read flags update by themselves.
+export const MARK_NOTIFICATIONS_READ = gql`
+  mutation markNotificationsRead($notificationIds: [ID]) {
+    markNotificationsRead(notificationIds: $notificationIds) {
+      _id
+      read
+    }
+  }
+`;
+
+// report a thought, or one of its reactions, to the moderators
+export const REPORT_THOUGHT = gql`
+  mutation reportThought($thoughtId: ID!, $reason: String!) {
+    reportThought(thoughtId: $thoughtId, reason: $reason) {
+      _id
+    }
+  }
+`;
+
+export const REPORT_REACTION = gql`
+  mutation reportReaction($thoughtId: ID!, $reactionId: ID!, $reason: String!) {
+    reportReaction(thoughtId: $thoughtId, reactionId: $reactionId, reason: $reason) {
+      _id
+    }
+  }
+`;
+
+// the moderator only mutations used on the admin page. Each one returns the
+// thought, user or report it changed, so the cached copy updates by itself.
+export const HIDE_THOUGHT = gql`
+  mutation hideThought($thoughtId: ID!, $hidden: Boolean) {
+    hideThought(thoughtId: $thoughtId, hidden: $hidden) {
+      _id
+      hidden
+    }
+  }
+`;
+
+export const SUSPEND_USER = gql`
+  mutation suspendUser($userId: ID!, $days: Int!, $reason: String) {
+    suspendUser(userId: $userId, days: $days, reason: $reason) {
+      _id
+      suspendedUntil
+    }
+  }
+`;
+
+export const RESOLVE_REPORT = gql`
+  mutation resolveReport($reportId: ID!, $status: ReportStatus!) {
+    resolveReport(reportId: $reportId, status: $status) {
+      _id
+      status
+      resolvedAt
+      resolvedBy {
+        _id
+        username
+      }
+    }
+  }
+`;
+
+// admins only
+export const SET_USER_ROLE = gql`
+  mutation setUserRole($username: String!, $role: Role!) {
+    setUserRole(username: $username, role: $role) {
+      _id
+      username
+      role
+    }
+  }
+`;
+
+// block and mute another user, or take it back. Each one returns the logged in user's
+// updated blocked and muted lists, which updates QUERY_BLOCKED_USERS in the cache.
+export const BLOCK_USER = gql`
+  mutation blockUser($userId: ID!) {
+    blockUser(userId: $userId) {
+      _id
+      blocked {
+        _id
+        username
+        avatarUrl
+      }
+      muted {
+        _id
+        username
+        avatarUrl
+      }
+    }
+  }
+`;
+
+export const UNBLOCK_USER = gql`
+  mutation unblockUser($userId: ID!) {
+    unblockUser(userId: $userId) {
+      _id
+      blocked {
+        _id
+        username
+        avatarUrl
+      }
+      muted {
+        _id
+        username
+        avatarUrl
       }
     }
   }
-`;
\ No newline at end of file
+`;
+
+export const MUTE_USER = gql`
+  mutation muteUser($userId: ID!) {
+    muteUser(userId: $userId) {
+      _id
+      blocked {
+        _id
+        username
+        avatarUrl
+      }
+      muted {
+        _id
+        username
+        avatarUrl
+      }
+    }
+  }
+`;
+
+export const UNMUTE_USER = gql`
+  mutation unmuteUser($userId: ID!) {
+    unmuteUser(userId: $userId) {
+      _id
+      blocked {
+        _id
+        username
+        avatarUrl
+      }
+      muted {
+        _id
+        username
+        avatarUrl
+      }
+    }
+  }
+`;
+
+// send a message to a friend. conversationId is the conversation it was added to,
+// which is new if it's the first message between the two users.
+export const SEND_MESSAGE = gql`
+  mutation sendMessage($toUserId: ID!, $body: String!) {
+    sendMessage(toUserId: $toUserId, body: $body) {
+      _id
+      conversationId
+      body
+      read
+      createdAt
+    }
+  }
+`;
+
+export const MARK_CONVERSATION_READ = gql`
+  mutation markConversationRead($conversationId: ID!) {
+    markConversationRead(conversationId: $conversationId) {
+      _id
+      unreadCount
+    }
+  }
+`;
@@ -21,6 +21,7 @@ export const QUERY_THOUGHTS = gql`
       _id
       thoughtText
       createdAt
+      visibility
       username
       reactionCount
       reactions {
@@ -33,6 +34,85 @@ export const QUERY_THOUGHTS = gql`
   }
 `;
 
+// one page of thoughts for the feed, optionally only one user's thoughts.
+// $first is how many thoughts to get, and $after is the endCursor from the
+// pageInfo of the last page we got. Leave $after out to get the newest thoughts.
+// The pages are stitched together into one list by the thoughtsConnection
+// type policy in App.js whenever we call fetchMore() with the next cursor.
+export const QUERY_THOUGHTS_CONNECTION = gql`
+  query thoughtsConnection($first: Int, $after: String, $username: String) {
+    thoughtsConnection(first: $first, after: $after, username: $username) {
+      edges {
+        cursor
+        node {
+          _id
+          thoughtText
+          createdAt
+          visibility
+          username
+          author {
+            _id
+            avatarUrl
+          }
+          tags
+          mentions
+          images {
+            url
+            thumbnailUrl
+            width
+            height
+          }
+          reactionCount
+          likeCount
+          likedByMe
+        }
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+`;
+
+// one page of the logged in user's personal feed: their own thoughts and their
+// friends' thoughts, newest first. Pages the same way as QUERY_THOUGHTS_CONNECTION.
+export const QUERY_FEED = gql`
+  query feed($first: Int, $after: String) {
+    feed(first: $first, after: $after) {
+      edges {
+        cursor
+        node {
+          _id
+          thoughtText
+          createdAt
+          visibility
+          username
+          author {
+            _id
+            avatarUrl
+          }
+          tags
+          mentions
+          images {
+            url
+            thumbnailUrl
+            width
+            height
+          }
+          reactionCount
+          likeCount
+          likedByMe
+        }
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+`;
+
 // query a single thoughts's information
 // capture the parameter $id that will be of the type ID.
 // exclamation mark ! means that the parameter is required to use 
@@ -43,13 +123,38 @@ export const QUERY_THOUGHT = gql`
       _id
       thoughtText
       createdAt
+      visibility
       username
+      author {
+        _id
+        avatarUrl
+      }
+      tags
+      mentions
+      images {
+        url
+        thumbnailUrl
+        width
+        height
+      }
+      hidden
       reactionCount
+      likeCount
+      likedByMe
       reactions {
         _id
         createdAt
         username
+        author {
+          _id
+          avatarUrl
+        }
         reactionBody
+        parentReactionId
+        tags
+        mentions
+        likeCount
+        likedByMe
       }
     }
   }
@@ -62,15 +167,23 @@ export const QUERY_USER = gql`
       _id
       username
       email
+      displayName
+      bio
+      location
+      website
+      avatarUrl
       friendCount
       friends {
         _id
         username
+        avatarUrl
       }
       thoughts {
         _id
         thoughtText
         createdAt
+        visibility
+        username
         reactionCount
       }
     }
@@ -97,11 +210,18 @@ export const QUERY_ME = gql`
       _id
       username
       email
+      displayName
+      bio
+      location
+      website
+      avatarUrl
       friendCount
       thoughts {
         _id
         thoughtText
         createdAt
+        visibility
+        username
         reactionCount
         reactions {
           _id
@@ -113,6 +233,7 @@ export const QUERY_ME = gql`
       friends {
         _id
         username
+        avatarUrl
       }
     }
   }
@@ -131,11 +252,272 @@ export const QUERY_ME_BASIC = gql`
       _id
       username
       email
+      displayName
+      bio
+      location
+      website
+      avatarUrl
+      role
       friendCount
       friends {
         _id
         username
+        avatarUrl
       }
     }
   }
 `;
+
+// the logged in user's pending friend requests. friendRequests are the users
+// waiting on the logged in user to accept or decline, and sentFriendRequests are
+// the users the logged in user is waiting on.
+export const QUERY_FRIEND_REQUESTS = gql`
+  {
+    friendRequests {
+      _id
+      username
+    }
+    sentFriendRequests {
+      _id
+      username
+    }
+  }
+`;
+
+// search thoughts, reactions and users. $type can be THOUGHT, REACTION or USER to
+// only get one kind of result, or left out to get all of them.
+// snippet is a short piece of the matching text, and highlights are the start and
+// end positions of the search words inside it.
+export const QUERY_SEARCH = gql`
+  query search($query: String!, $type: SearchType) {
+    search(query: $query, type: $type) {
+      type
+      snippet
+      highlights {
+        start
+        end
+      }
+      thought {
+        _id
+        thoughtText
+        createdAt
+        visibility
+        username
+        author {
+          _id
+          avatarUrl
+        }
+        tags
+        mentions
+        images {
+          url
+          thumbnailUrl
+          width
+          height
+        }
+        reactionCount
+        likeCount
+        likedByMe
+      }
+      reaction {
+        _id
+        reactionBody
+        createdAt
+        username
+      }
+      user {
+        _id
+        username
+        friendCount
+      }
+    }
+  }
+`;
+
+// one page of the thoughts with a tag, for the /tag/:tag page. Pages the
+// same way as QUERY_THOUGHTS_CONNECTION.
+export const QUERY_THOUGHTS_BY_TAG = gql`
+  query thoughtsByTag($tag: String!, $first: Int, $after: String) {
+    thoughtsByTag(tag: $tag, first: $first, after: $after) {
+      edges {
+        cursor
+        node {
+          _id
+          thoughtText
+          createdAt
+          visibility
+          username
+          author {
+            _id
+            avatarUrl
+          }
+          tags
+          mentions
+          images {
+            url
+            thumbnailUrl
+            width
+            height
+          }
+          reactionCount
+          likeCount
+          likedByMe
+        }
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+`;
+
+// the most used tags lately. $window can be HOUR, DAY or WEEK.
+export const QUERY_TRENDING_TAGS = gql`
+  query trendingTags($window: TrendingWindow, $limit: Int) {
+    trendingTags(window: $window, limit: $limit) {
+      tag
+      count
+    }
+  }
+`;
+
+// the logged in user's most recent notifications. With $unreadOnly set to true,
+// only the ones they haven't seen yet, which is used for the count in the Header.
+export const QUERY_NOTIFICATIONS = gql`
+  query notifications($unreadOnly: Boolean) {
+    notifications(unreadOnly: $unreadOnly) {
+      _id
+      type
+      actorUsername
+      thoughtId
+      read
+      createdAt
+    }
+  }
+`;
+
+// everything the logged in user has posted, as a JSON string. Only fetched when they
+// click the download button on the settings page.
+export const QUERY_EXPORT_MY_DATA = gql`
+  {
+    exportMyData
+  }
+`;
+
+// the moderators' review queue, the open reports unless another $status is asked for.
+// A report is either about the thought, or about one of its reactions if reaction is set.
+// The author's _id is needed to suspend them from the admin page.
+export const QUERY_REPORTS = gql`
+  query reports($status: ReportStatus) {
+    reports(status: $status) {
+      _id
+      reason
+      status
+      createdAt
+      resolvedAt
+      reporter {
+        _id
+        username
+      }
+      resolvedBy {
+        _id
+        username
+      }
+      thought {
+        _id
+        thoughtText
+        username
+        hidden
+        author {
+          _id
+          suspendedUntil
+        }
+      }
+      reaction {
+        _id
+        reactionBody
+        username
+        author {
+          _id
+          suspendedUntil
+        }
+      }
+    }
+  }
+`;
+
+// the users the logged in user has blocked or muted, for the list on the settings page
+export const QUERY_BLOCKED_USERS = gql`
+  {
+    me {
+      _id
+      blocked {
+        _id
+        username
+        avatarUrl
+      }
+      muted {
+        _id
+        username
+        avatarUrl
+      }
+    }
+  }
+`;
+
+// the logged in user's conversations, latest first, with the last message in each
+// and how many messages in it they haven't read
+export const QUERY_CONVERSATIONS = gql`
+  {
+    conversations {
+      _id
+      lastMessageAt
+      unreadCount
+      canReply
+      otherUser {
+        _id
+        username
+        avatarUrl
+      }
+      lastMessage {
+        _id
+        body
+        createdAt
+      }
+    }
+  }
+`;
+
+// the messages in a conversation, newest first, a page at a time like QUERY_FEED
+export const QUERY_MESSAGES = gql`
+  query messages($conversationId: ID!, $first: Int, $after: String) {
+    messages(conversationId: $conversationId, first: $first, after: $after) {
+      edges {
+        cursor
+        node {
+          _id
+          body
+          read
+          createdAt
+          sender {
+            _id
+            username
+            avatarUrl
+          }
+        }
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+`;
+
+// for the count next to the Inbox link in the Header
+export const QUERY_UNREAD_MESSAGE_COUNT = gql`
+  {
+    unreadMessageCount
+  }
+`;
@@ -0,0 +1,78 @@
+// see google docs, MERN Stack Notes, GraphQL Subscriptions
+// This file stores all of the GraphQL subscriptions, like queries.js and mutations.js
+// do for queries and mutations. A subscription stays open over the WebSocket link set
+// up in App.js, and the server sends us new data each time the event happens.
+
+import { gql } from '@apollo/client';
+
+// every new thought, as soon as it's posted. Asks for the same fields as
+// QUERY_THOUGHTS_CONNECTION so new thoughts can be added to the Home page's list.
+export const THOUGHT_ADDED = gql`
+  subscription thoughtAdded {
+    thoughtAdded {
+      _id
+      thoughtText
+      createdAt
+      visibility
+      username
+      author {
+        _id
+        avatarUrl
+      }
+      tags
+      mentions
+      images {
+        url
+        thumbnailUrl
+        width
+        height
+      }
+      reactionCount
+      likeCount
+      likedByMe
+    }
+  }
+`;
+
+// the thought with the given id each time someone reacts to it, with all of its
+// reactions. Because it has the same _id and fields as QUERY_THOUGHT, Apollo updates
+// the cached thought and the SingleThought page re-renders by itself.
+export const REACTION_ADDED = gql`
+  subscription reactionAdded($thoughtId: ID!) {
+    reactionAdded(thoughtId: $thoughtId) {
+      _id
+      reactionCount
+      likeCount
+      likedByMe
+      reactions {
+        _id
+        createdAt
+        username
+        author {
+          _id
+          avatarUrl
+        }
+        reactionBody
+        parentReactionId
+        tags
+        mentions
+        likeCount
+        likedByMe
+      }
+    }
+  }
+`;
+
+// the logged in user's new notifications, as they're created
+export const NOTIFICATION_RECEIVED = gql`
+  subscription notificationReceived {
+    notificationReceived {
+      _id
+      type
+      actorUsername
+      thoughtId
+      read
+      createdAt
+    }
+  }
+`;
@@ -0,0 +1,58 @@
+import { useCallback, useMemo, useRef } from 'react';
+import { useQuery } from '@apollo/client';
+
+import { QUERY_THOUGHTS_CONNECTION } from './queries';
+
+// how many thoughts to ask the server for at a time
+export const THOUGHTS_PAGE_SIZE = 20;
+
+// A custom Hook that runs the thoughtsConnection query and gives back the thoughts as a
+// plain array, ready to pass to ThoughtList, along with a loadMore() function that
+// fetches the next page. Both the homepage and the Profile page use it, so the paging
+// logic lives in one place.
+// Any options (like variables: { username } or skip) are passed straight to useQuery.
+// By default it pages through every thought with thoughtsConnection, but any query that
+// returns a thought connection can be passed in, along with the name of the field it's under.
+const usePaginatedThoughts = (options = {}, query = QUERY_THOUGHTS_CONNECTION, field = 'thoughtsConnection') => {
+  const { loading, data, fetchMore } = useQuery(query, {
+    ...options,
+    variables: { first: THOUGHTS_PAGE_SIZE, ...options.variables }
+  });
+
+  // the query returns edges that each wrap a thought in a node, so unwrap them.
+  // useMemo keeps the same array between renders until the data actually changes,
+  // so ThoughtList doesn't think the list changed every time the page re-renders.
+  const thoughts = useMemo(
+    () => data?.[field].edges.map(edge => edge.node) || [],
+    [data, field]
+  );
+  const pageInfo = data?.[field].pageInfo;
+
+  // keeps track of whether a page is already on its way, so scrolling around
+  // while it loads doesn't ask the server for the same page twice.
+  const fetching = useRef(false);
+
+  const loadMore = useCallback(async () => {
+    if (fetching.current || !pageInfo?.hasNextPage) {
+      return;
+    }
+
+    fetching.current = true;
+
+    try {
+      // fetchMore runs the same query with the next cursor, and the field's
+      // type policy in App.js adds the new page onto the end of the cached list.
+      await fetchMore({
+        variables: { after: pageInfo.endCursor }
+      });
+    } catch (e) {
+      console.error(e);
+    } finally {
+      fetching.current = false;
+    }
+  }, [fetchMore, pageInfo]);
+
+  return { loading, thoughts, hasMore: !!pageInfo?.hasNextPage, loadMore };
+};
+
+export default usePaginatedThoughts;
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+// The settings used to sign and check JWTs (see utils/auth.js). They're read from
+// environment variables, or from a JSON file if the variables aren't set, so secrets
+// never have to be written into the code.
+//
+// Environment variables:
+//   JWT_SECRETS      the signing keys, as a comma separated list of kid:secret pairs,
+//                    like "2024-06:some-long-secret,2024-01:an-older-secret"
+//   JWT_SIGNING_KID  which of those keys signs new tokens (the first one if not set)
+//   JWT_EXPIRATION   how long a token lasts, like "15m" or "1h" (15m if not set)
+//   JWT_ISSUER       who issued the token, checked on every token (deep-thoughts if not set)
+//   JWT_CONFIG_FILE  where to find the JSON file (config/auth.json if not set)
+//
+// The JSON file has the same settings, see config/auth.example.json.
+//
+// Every key has a kid (key id), which is saved in the header of each token it signs.
+// To rotate secrets, add a new key and make it the signing key, but leave the old one
+// in the list. Tokens signed with the old key keep working until they expire, and once
+// they have, the old key can be removed. Nobody gets logged out.
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'auth.json');
+
+// only used when nothing is configured outside of production, so the app still
+// runs locally without any setup. Never accepted in production.
+const DEVELOPMENT_KEY = { kid: 'development', secret: 'mysecretsshhhhh' };
+
+// the shortest secret allowed in production
+const MIN_SECRET_LENGTH = 32;
+
+// the same formats jsonwebtoken accepts for expiresIn, like 900, "15m" or "2 hours"
+const EXPIRATION_REGEX = /^\d+(\.\d+)?\s*(ms|s|m|h|d|w|y|seconds?|minutes?|hours?|days?|weeks?|years?)?$/i;
+
+// jsonwebtoken reads a number as seconds, but a string without a unit, like the "900" an
+// environment variable always is, as milliseconds. That would make tokens expire as soon
+// as they're signed, so a value without a unit is turned into a number of seconds.
+const parseExpiration = value => (/^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : value);
+
+// turns "kid:secret,kid:secret" into [{ kid, secret }]. A secret can contain colons,
+// so only the first one separates the kid from the secret.
+const parseSecrets = value =>
+  value
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf(':');
+      return index === -1
+        ? { kid: '', secret: pair }
+        : { kid: pair.slice(0, index).trim(), secret: pair.slice(index + 1).trim() };
+    });
+
+const readConfigFile = () => {
+  const file = process.env.JWT_CONFIG_FILE || DEFAULT_CONFIG_FILE;
+
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read the JWT config file ${file}: ${err.message}`);
+  }
+};
+
+// environment variables win over the config file
+const loadAuthConfig = () => {
+  const file = readConfigFile();
+
+  let keys = process.env.JWT_SECRETS
+    ? parseSecrets(process.env.JWT_SECRETS)
+    : Object.entries(file.secrets || {}).map(([kid, secret]) => ({ kid, secret }));
+
+  if (!keys.length && process.env.NODE_ENV !== 'production') {
+    console.warn('No JWT secrets are configured, using the development secret. Set JWT_SECRETS before deploying.');
+    keys = [DEVELOPMENT_KEY];
+  }
+
+  const signingKid = process.env.JWT_SIGNING_KID || file.signingKid || (keys[0] && keys[0].kid);
+
+  return {
+    keys,
+    signingKey: keys.find(key => key.kid === signingKid),
+    signingKid,
+    expiration: parseExpiration(process.env.JWT_EXPIRATION || file.expiration || '15m'),
+    issuer: process.env.JWT_ISSUER || file.issuer || 'deep-thoughts'
+  };
+};
+
+// returns a list of everything wrong with the config, empty if it's all good
+const findProblems = config => {
+  const problems = [];
+  const kids = config.keys.map(key => key.kid);
+
+  if (!config.keys.length) {
+    problems.push('at least one secret is required in JWT_SECRETS or the config file');
+  }
+
+  config.keys.forEach(({ kid, secret }) => {
+    if (!kid) {
+      problems.push('every secret needs a kid, like kid:secret');
+    } else if (!secret) {
+      problems.push(`the secret for kid "${kid}" is empty`);
+    } else if (process.env.NODE_ENV === 'production' && secret.length < MIN_SECRET_LENGTH) {
+      problems.push(`the secret for kid "${kid}" must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+  });
+
+  if (kids.some((kid, i) => kids.indexOf(kid) !== i)) {
+    problems.push('each kid can only be used once');
+  }
+
+  if (config.keys.length && !config.signingKey) {
+    problems.push(`the signing kid "${config.signingKid}" doesn't match any of the secrets`);
+  }
+
+  if (!EXPIRATION_REGEX.test(String(config.expiration).trim())) {
+    problems.push(`"${config.expiration}" is not a valid expiration, use something like "15m" or "1h"`);
+  }
+
+  if (typeof config.issuer !== 'string' || !config.issuer.trim()) {
+    problems.push('the issuer cannot be empty');
+  }
+
+  return problems;
+};
+
+let config;
+
+// loads the config the first time it's needed, and returns the same one after that
+const getAuthConfig = () => {
+  if (!config) {
+    config = loadAuthConfig();
+  }
+
+  return config;
+};
+
+// called when the server starts (see server.js), so a bad config stops the server
+// right away instead of breaking every login later.
+const validateAuthConfig = () => {
+  const problems = findProblems(getAuthConfig());
+
+  if (problems.length) {
+    throw new Error(`Invalid JWT config:\n  - ${problems.join('\n  - ')}`);
+  }
+};
+
+module.exports = { getAuthConfig, validateAuthConfig };
@@ -0,0 +1,42 @@
+const { Schema, model } = require('mongoose');
+const dateFormat = require('../utils/dateFormat');
+
+// a private conversation between two friends. The messages themselves are kept in
+// their own collection (see Message.js), since a long conversation would otherwise
+// grow past the size MongoDB allows for a single document.
+const conversationSchema = new Schema(
+  {
+    // the two users in the conversation
+    participants: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // both participants' ids, sorted and joined, so the same two users always end up
+    // in the same conversation no matter which of them sends the first message
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // when the last message was sent, so the inbox can show the latest conversations first
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+      get: timestamp => dateFormat(timestamp)
+    }
+  },
+  {
+    toJSON: {
+      getters: true
+    }
+  }
+);
+
+// a user's inbox is always looked up latest first
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+const Conversation = model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,29 @@
+const { Schema } = require('mongoose');
+
+// an image attached to a thought. Like reactions, images are stored inside the thought
+// instead of in their own collection, since they're never looked up on their own.
+// The files themselves are kept by the storage driver (see utils/storage.js), so only
+// their storage keys are saved here. The GraphQL Image type turns them into URLs.
+const imageSchema = new Schema(
+  {
+    // the full size image, shrunk to fit MAX_IMAGE_DIMENSION in utils/images.js
+    key: {
+      type: String,
+      required: true
+    },
+    // a small square copy shown in the gallery, so the page doesn't load every
+    // full size image until one is opened
+    thumbnailKey: {
+      type: String,
+      required: true
+    },
+    // the size of the full image in pixels, so the browser can leave room for it before it loads
+    width: Number,
+    height: Number
+  },
+  {
+    _id: false
+  }
+);
+
+module.exports = imageSchema;
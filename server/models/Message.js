@@ -0,0 +1,51 @@
+const { Schema, model } = require('mongoose');
+const dateFormat = require('../utils/dateFormat');
+
+// one message in a conversation (see Conversation.js)
+const messageSchema = new Schema(
+  {
+    conversation: {
+      type: Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: true
+    },
+    sender: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // the same limit as a thought
+    body: {
+      type: String,
+      required: 'You need to write a message!',
+      trim: true,
+      minlength: 1,
+      maxlength: [280, 'Messages can only be 280 characters long!']
+    },
+    // set once the other user has opened the conversation. Messages without it are
+    // the unread ones.
+    readAt: {
+      type: Date,
+      get: timestamp => timestamp && dateFormat(timestamp)
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      get: timestamp => dateFormat(timestamp)
+    }
+  },
+  {
+    toJSON: {
+      getters: true
+    }
+  }
+);
+
+// messages are paged through newest first (see utils/pagination.js), and unread
+// messages are counted for each conversation
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
+
+const Message = model('Message', messageSchema);
+
+module.exports = Message;
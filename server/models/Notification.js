@@ -0,0 +1,52 @@
+const { Schema, model } = require('mongoose');
+const dateFormat = require('../utils/dateFormat');
+
+// a notification tells a user that someone else did something involving them,
+// like reacting to their thought or sending them a friend request.
+const notificationSchema = new Schema(
+  {
+    // the user the notification is for
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['REACTION', 'REPLY', 'MENTION', 'FRIEND_REQUEST', 'FRIEND_ACCEPTED']
+    },
+    // the username of the user who caused the notification. Stored as a username
+    // like Thought.username, so the front end can link to their profile.
+    actorUsername: {
+      type: String,
+      required: true
+    },
+    // the thought the notification is about, for reactions, replies and mentions
+    thought: {
+      type: Schema.Types.ObjectId,
+      ref: 'Thought'
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      get: timestamp => dateFormat(timestamp)
+    }
+  },
+  {
+    toJSON: {
+      getters: true
+    }
+  }
+);
+
+// a user's notifications are always looked up newest first
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+const Notification = model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,28 @@
+const { Schema, model } = require('mongoose');
+
+// how many times something has been done in the current time window, for the mongo
+// rate limit store (see utils/rateLimit.js). The key says what was done and by who,
+// like "addThought:user:5f1c...".
+const rateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // when the window ends and the count starts over
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB deletes each count by itself once its window is over, like the Token model
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
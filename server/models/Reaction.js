@@ -12,6 +12,24 @@ const reactionSchema = new Schema(
       type: String,
       required: true
     },
+    // the reaction this one is a reply to, or null if it was left on the thought itself.
+    // Replies are still stored in the thought's flat reactions array, this is just what
+    // ties them together into threads.
+    parentReactionId: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
+    // #tags and @mentions found in reactionBody, see the Thought model
+    tags: [String],
+    mentions: [String],
+    // the users who liked this reaction. Each user can only like it once,
+    // which the likeReaction mutation makes sure of with $addToSet.
+    likes: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -25,4 +43,8 @@ const reactionSchema = new Schema(
   }
 );
 
+reactionSchema.virtual('likeCount').get(function() {
+  return this.likes.length;
+});
+
 module.exports = reactionSchema;
@@ -0,0 +1,65 @@
+const { Schema, model } = require('mongoose');
+const dateFormat = require('../utils/dateFormat');
+
+// a report is a user flagging a thought or reaction for the moderators to look at.
+// Open reports make up the review queue on the admin page, oldest first, until a
+// moderator resolves them (something was done about it) or dismisses them (nothing
+// needed doing).
+const reportSchema = new Schema(
+  {
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // the thought that was reported, or the thought the reported reaction is on
+    thought: {
+      type: Schema.Types.ObjectId,
+      ref: 'Thought',
+      required: true
+    },
+    // set when a reaction was reported instead of the thought itself.
+    // Reactions live inside their thought, so they can't be populated on their own.
+    reactionId: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
+    reason: {
+      type: String,
+      required: 'You need to give a reason!',
+      trim: true,
+      maxlength: 280
+    },
+    status: {
+      type: String,
+      enum: ['OPEN', 'RESOLVED', 'DISMISSED'],
+      default: 'OPEN'
+    },
+    // the moderator who closed the report, and when
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: {
+      type: Date,
+      get: timestamp => timestamp && dateFormat(timestamp)
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      get: timestamp => dateFormat(timestamp)
+    }
+  },
+  {
+    toJSON: {
+      getters: true
+    }
+  }
+);
+
+// the review queue is always looked up by status, oldest first
+reportSchema.index({ status: 1, createdAt: 1 });
+
+const Report = model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,47 @@
+const { Schema, model } = require('mongoose');
+
+// a session is one device a user is logged in on. It's created when they log in or sign
+// up, and holds the refresh token that device uses to get new JWTs (see utils/session.js).
+// Every JWT includes the id of the session it was made for, so revoking a session logs
+// that device out on its very next request, even if its JWT hasn't expired yet.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // a hash of the session's current refresh token. The token itself is only ever
+    // stored in the user's cookie, so a leaked database can't be used to log in.
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    // the refresh token that was replaced the last time the session was refreshed,
+    // and when. See rotateSession() in utils/session.js.
+    previousTokenHash: String,
+    rotatedAt: Date,
+    // set when the user logs out, or when a refresh token is used twice
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+// MongoDB deletes each session by itself once its expiresAt date has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// logoutAllDevices looks up every session a user has
+sessionSchema.index({ user: 1 });
+
+const Session = model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,6 @@
 const { Schema, model } = require('mongoose');
 const reactionSchema = require('./Reaction');
+const imageSchema = require('./Image');
 const dateFormat = require('../utils/dateFormat');
 
 const thoughtSchema = new Schema(
@@ -19,6 +20,33 @@ const thoughtSchema = new Schema(
       type: String,
       required: true
     },
+    // #tags and @mentions found in thoughtText when the thought is posted or edited.
+    // Mentions only include usernames that belong to real users.
+    tags: [String],
+    mentions: [String],
+    // the users who liked this thought, at most once each (see likeThought)
+    likes: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // hidden by a moderator. Hidden thoughts are left out of every list of thoughts,
+    // and only their author and moderators can still open them.
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    // who can read the thought: everyone, only the author's friends, or only the author.
+    // Thoughts posted before this was added don't have it, and are treated as public
+    // (see readableBy in schemas/resolvers.js).
+    visibility: {
+      type: String,
+      enum: ['public', 'friends', 'private'],
+      default: 'public'
+    },
+    // up to MAX_ATTACHMENTS images (see utils/images.js), in the order they were uploaded
+    images: [imageSchema],
     reactions: [reactionSchema]
   },
   {
@@ -32,6 +60,23 @@ thoughtSchema.virtual('reactionCount').get(function() {
   return this.reactions.length;
 });
 
+thoughtSchema.virtual('likeCount').get(function() {
+  return this.likes.length;
+});
+
+// the feed is always sorted newest first, and paged through using createdAt and _id
+// (see utils/pagination.js), so index both to keep those queries from scanning every
+// thought. The second index does the same for a single user's thoughts on their profile.
+thoughtSchema.index({ createdAt: -1, _id: -1 });
+thoughtSchema.index({ username: 1, createdAt: -1, _id: -1 });
+
+// finds thoughts with a tag for the thoughtsByTag query, newest first
+thoughtSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+
+// a text index lets the search query look for words anywhere in a thought or its
+// reactions. MongoDB only allows one text index per collection, so both fields share it.
+thoughtSchema.index({ thoughtText: 'text', 'reactions.reactionBody': 'text' });
+
 const Thought = model('Thought', thoughtSchema);
 
 module.exports = Thought;
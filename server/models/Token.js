@@ -0,0 +1,42 @@
+const { Schema, model } = require('mongoose');
+
+// a one time token sent to a user by email, for resetting their password or verifying
+// their email address. Each one can only be used once, and stops working after a while
+// even if it was never used. See utils/tokens.js
+const tokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['PASSWORD_RESET', 'EMAIL_VERIFICATION']
+    },
+    // like refresh tokens, only a hash of the token is stored (see utils/session.js)
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    // set when the token is used, so it can't be used again
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  }
+);
+
+// tokens are looked up by their hash when they're used
+tokenSchema.index({ tokenHash: 1 });
+// MongoDB deletes each token by itself once it has expired
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Token = model('Token', tokenSchema);
+
+module.exports = Token;
@@ -20,11 +20,78 @@ const userSchema = new Schema(
       // we send back a custom error message stating that there must be a valid email address.
       match: [/.+@.+\..+/, 'Must match an email address!']
     },
+    // whether the user has clicked the link in the verification email we sent them
+    // when they signed up, which proves the email address is really theirs
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
     password: {
       type: String,
       required: true,
       minlength: 5
     },
+    // the rest of the profile, all optional. The user fills these in on the settings page.
+    // displayName is a name shown next to the username, and doesn't have to be unique.
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: 280
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    website: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      match: [/^https?:\/\/\S+\.\S+$/, 'Must be a link starting with http:// or https://!']
+    },
+    // the storage key of the user's avatar image, see utils/storage.js.
+    // The URL to load it from is the avatarUrl field in GraphQL.
+    avatar: {
+      type: String
+    },
+    // users this user has blocked or muted. Thoughts and reactions by either are hidden
+    // from this user. Blocked users also can't react to this user's thoughts or send them
+    // friend requests, and can't see this user's thoughts either.
+    blocked: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    muted: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // what the user is allowed to do. Moderators can hide thoughts, suspend users and
+    // work through reports, and admins can also change other users' roles.
+    role: {
+      type: String,
+      enum: ['user', 'moderator', 'admin'],
+      default: 'user'
+    },
+    // a suspended user can't log in until this date has passed.
+    // suspensionReason is shown to them when they try.
+    suspendedUntil: {
+      type: Date,
+      default: null
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: 280
+    },
     thoughts: [
       {
         type: Schema.Types.ObjectId,
@@ -36,6 +103,15 @@ const userSchema = new Schema(
         type: Schema.Types.ObjectId,
         ref: 'User'
       }
+    ],
+    // users who have sent this user a friend request that hasn't been
+    // accepted or declined yet. Only the receiving user stores the request,
+    // the requests a user has sent can be found by searching this field for their _id.
+    friendRequests: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      }
     ]
   },
   {
@@ -65,6 +141,9 @@ userSchema.methods.isCorrectPassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
+// a text index on username so users can be found with the search query
+userSchema.index({ username: 'text' });
+
 userSchema.virtual('friendCount').get(function() {
   return this.friends.length;
 });
@@ -1,4 +1,10 @@
 const User = require('./User');
 const Thought = require('./Thought');
+const Notification = require('./Notification');
+const Session = require('./Session');
+const Token = require('./Token');
+const Report = require('./Report');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
 
-module.exports = { User, Thought };
+module.exports = { User, Thought, Notification, Session, Token, Report, Conversation, Message };
@@ -1,15 +1,492 @@
 // see google docs, MERN Stack Notes, How GraphQL works
-const { User, Thought } = require('../models');
+const {
+  User,
+  Thought,
+  Notification,
+  Session,
+  Token,
+  Report,
+  Conversation,
+  Message
+} = require('../models');
 
-const { AuthenticationError } = require('apollo-server-express');
+// AuthenticationError is for users who aren't logged in at all, ForbiddenError for
+// logged in users trying to change something that isn't theirs, and UserInputError
+// for arguments that don't point at anything in the database.
+const { AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
 
 // generates a json web token which will include all the user's data
 // on login or account creation
 const { signToken } = require('../utils/auth');
 
+// refresh token sessions, so users stay logged in and can log out for real
+const {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions
+} = require('../utils/session');
+
+// single use tokens and the emails they're sent in, for password resets and email verification
+const { createToken, useToken } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+
+// gathers everything a user has posted into one archive for the exportMyData query
+const { buildExport } = require('../utils/exportData');
+
+// avatar and thought image uploads are resized, then kept wherever the storage driver puts them
+const { readUpload, resizeAvatar, storeAttachments, removeAttachments } = require('../utils/images');
+// the Upload scalar, for files sent in a multipart request
+const { GraphQLUpload } = require('graphql-upload');
+const { makeKey, saveFile, removeFile, fileUrl } = require('../utils/storage');
+
+// formats dates the same way the models do, for dates that aren't formatted by a getter
+const dateFormat = require('../utils/dateFormat');
+
+// limits how often mutations like login and addThought can be run, and locks an
+// account after too many wrong passwords
+const {
+  withRateLimits,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/rateLimit');
+
+// batches the lookups of users and thoughts made by field resolvers, see utils/loaders.js
+const { loadAll } = require('../utils/loaders');
+
+// splits a list of thoughts into pages for the thoughtsConnection query
+const { paginate } = require('../utils/pagination');
+
+// finds the search words in text to build highlighted snippets for the search query
+const { searchTerms, matchesTerms, buildSnippet } = require('../utils/search');
+
+// the most thoughts and users the search query will look through at once
+const SEARCH_LIMIT = 50;
+
+// creates notifications for the users a mutation affects
+const { notify } = require('../utils/notify');
+
+// the most notifications returned at once
+const NOTIFICATION_LIMIT = 50;
+
+// publishes events for the subscriptions to send to the front end
+const { pubsub, THOUGHT_ADDED, REACTION_ADDED, NOTIFICATION_RECEIVED } = require('../utils/pubsub');
+// withFilter wraps a subscription so each client only receives the events it cares about
+const { withFilter } = require('graphql-subscriptions');
+
+// finds the #tags and @mentions in thought and reaction text
+const { extractTags, extractMentions } = require('../utils/parseText');
+
+// how far back each trendingTags window looks, in milliseconds
+const TRENDING_WINDOWS = {
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000
+};
+
+// returns the tags and mentions to save with a thought or reaction. Anyone can type
+// @something, so only the mentions that match a real user's username are kept.
+const parseText = async text => {
+  const tags = extractTags(text);
+  const candidates = extractMentions(text);
+
+  if (!candidates.length) {
+    return { tags, mentions: [] };
+  }
+
+  const mentionedUsers = await User.find({ username: { $in: candidates } }).select('username');
+
+  return { tags, mentions: mentionedUsers.map(user => user.username) };
+};
+
+// friendships are mutual, so when a friend request is accepted both users are added to 
+// each other's friends array, and the request is cleared out of both users' friendRequests 
+// in case they had sent one to each other at the same time.
+const makeFriends = async (userId, friendId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { friends: friendId }, $pull: { friendRequests: friendId } }
+  );
+  await User.updateOne(
+    { _id: friendId },
+    { $addToSet: { friends: userId }, $pull: { friendRequests: userId } }
+  );
+};
+
+// the logged in user's own data. Returned by the friend, block and mute mutations so
+// the front end can update the logged in user's friend, blocked and muted lists, which
+// are loaded by the User field resolvers.
+const findMe = context => {
+  return User.findOne({ _id: context.user._id })
+    .select('-__v -password');
+};
+
+// how many replies deep a thread can go. A reaction left on the thought is at depth 0,
+// a reply to it is at depth 1, and so on.
+const MAX_REPLY_DEPTH = 4;
+
+// how deep a reaction is in its thread, found by following its parentReactionId
+// up through the thought's reactions until we reach a reaction with no parent
+const replyDepth = (reactions, reaction) => {
+  let depth = 0;
+
+  while (reaction && reaction.parentReactionId) {
+    reaction = reactions.id(reaction.parentReactionId);
+    depth++;
+  }
+
+  return depth;
+};
+
+// the ids of a reaction and every reply under it, all the way down its thread
+const threadIds = (reactions, reactionId) => {
+  const ids = [reactionId.toString()];
+
+  // ids grows as replies are found, so the loop also visits the replies of replies
+  for (let i = 0; i < ids.length; i++) {
+    reactions
+      .filter(reaction => reaction.parentReactionId && reaction.parentReactionId.toString() === ids[i])
+      .forEach(reaction => ids.push(reaction._id.toString()));
+  }
+
+  return ids;
+};
+
+// whether the logged in user liked a thought or reaction. Used as the likedByMe
+// field resolver for both types, since they store their likes the same way.
+const likedByMe = (parent, args, context) =>
+  !!context.user && parent.likes.some(_id => _id.equals(context.user._id));
+
 // see google docs, MERN Stack Notes, Create the Thought Type Definition and Resolver
 // resolvers resolve every query and mutation defined in typeDefs.js.
 // resolvers serve the responses for the queries defined in typeDefs.js.
+// the user who wrote a thought or reaction
+const findAuthor = (parent, args, context) => context.loaders.userByUsername.load(parent.username);
+
+// finds the logged in user and checks their current password, for the account settings
+// mutations that need the user to prove it's really them. A wrong password is a
+// UserInputError, not an AuthenticationError, since the client refreshes the user's token
+// on an AuthenticationError (see App.js in the client), and they are still logged in.
+const checkPassword = async (context, password) => {
+  const user = await User.findOne({ _id: context.user._id });
+
+  if (!user || !(await user.isCorrectPassword(password))) {
+    throw new UserInputError('Your current password is incorrect');
+  }
+
+  return user;
+};
+
+// the fields updateProfile can change
+const PROFILE_FIELDS = ['username', 'displayName', 'bio', 'location', 'website'];
+
+// the roles a user can have, in order. Each role can do everything the ones before it can.
+const ROLES = ['user', 'moderator', 'admin'];
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// the authorization check for the moderator and admin only resolvers. Throws unless the
+// logged in user has at least the given role, and returns them if they do.
+// The role is read from the database instead of the JWT, so a user who loses a role
+// can't keep using it until their token expires.
+const requireRole = async (context, role) => {
+  if (!context.user) {
+    throw new AuthenticationError('You need to be logged in!');
+  }
+
+  const user = await User.findOne({ _id: context.user._id }).select('-__v -password');
+
+  if (!hasRole(user, role)) {
+    throw new ForbiddenError("You don't have permission to do that!");
+  }
+
+  return user;
+};
+
+// adds to the params of a thought query so thoughts hidden by a moderator are left out
+const visible = params => ({ ...params, hidden: { $ne: true } });
+
+// thoughts with either of these visibilities can't be read by everyone. Checking for
+// the visibilities that aren't public, instead of for public, means the thoughts posted
+// before there was a visibility are still treated as public.
+const RESTRICTED = ['friends', 'private'];
+
+// looks something up once per request and saves it on the context under key, so the
+// other resolvers in the same request don't look it up again. A subscription keeps its
+// context for as long as it's open (see server.js), so nothing is saved on it, or it
+// would keep using friendships and blocks from when it started.
+const remember = (context, key, load) => {
+  if (context.subscription) {
+    return load();
+  }
+
+  if (!context[key]) {
+    context[key] = load();
+  }
+
+  return context[key];
+};
+
+// the usernames of the logged in user's friends. Friendships always go both ways, so
+// these are also the users who have the logged in user as a friend.
+const friendUsernames = context =>
+  remember(context, 'friendUsernames', () =>
+    User.findOne({ _id: context.user._id })
+      .select('friends')
+      .populate('friends', 'username')
+      .then(me => (me ? me.friends.map(friend => friend.username) : []))
+  );
+
+// the params for the thoughts the logged in user is allowed to read: the public ones,
+// their own, and the friends only thoughts of their friends. Without a logged in user
+// that's only the public ones.
+const readableBy = async context => {
+  if (!context.user) {
+    return { visibility: { $nin: RESTRICTED } };
+  }
+
+  return {
+    $or: [
+      { visibility: { $nin: RESTRICTED } },
+      { username: context.user.username },
+      { visibility: 'friends', username: { $in: await friendUsernames(context) } }
+    ]
+  };
+};
+
+// the same check as readableBy, for a thought that was already found
+const canRead = async (context, thought) => {
+  if (!RESTRICTED.includes(thought.visibility)) {
+    return true;
+  }
+
+  if (!context.user) {
+    return false;
+  }
+
+  if (thought.username === context.user.username) {
+    return true;
+  }
+
+  return thought.visibility === 'friends' && (await friendUsernames(context)).includes(thought.username);
+};
+
+// whether the logged in user can see a thought that was already found: they can read it
+// (see canRead), it isn't by someone they've blocked or muted, or who has blocked them,
+// and if a moderator hid it, they're its author or a moderator themselves.
+// The thought query, findReadableThought and the subscriptions all check this, so a
+// thought can't be seen through one of them but not the others.
+const canSee = async (context, thought) => {
+  if ((await hiddenAuthors(context)).includes(thought.username) || !(await canRead(context, thought))) {
+    return false;
+  }
+
+  if (thought.hidden && thought.username !== context.user?.username) {
+    const viewer = context.user && (await User.findOne({ _id: context.user._id }).select('role'));
+    return hasRole(viewer, 'moderator');
+  }
+
+  return true;
+};
+
+// finds a thought for the mutations that act on someone else's thought, like reacting
+// to or liking it. A thought the logged in user can't see is treated as if it didn't
+// exist, so they can't find out it's there.
+const findReadableThought = async (context, thoughtId) => {
+  const thought = await Thought.findOne({ _id: thoughtId });
+
+  if (!thought || !(await canSee(context, thought))) {
+    throw new UserInputError('No thought found with this id!');
+  }
+
+  return thought;
+};
+
+// the users out of usernames who are allowed to read a thought, so nobody is notified
+// about a thought they can't open
+const readersOf = async (thought, usernames) => {
+  if (!RESTRICTED.includes(thought.visibility)) {
+    return usernames;
+  }
+
+  let friends = [];
+
+  if (thought.visibility === 'friends') {
+    const author = await User.findOne({ username: thought.username })
+      .select('friends')
+      .populate('friends', 'username');
+    friends = author ? author.friends.map(friend => friend.username) : [];
+  }
+
+  return usernames.filter(username => username === thought.username || friends.includes(username));
+};
+
+// the usernames whose thoughts and reactions the logged in user shouldn't see: everyone
+// they've blocked or muted, and everyone who has blocked them. Several resolvers can need
+// this in the same request, so it's only looked up once, see remember() above.
+const hiddenAuthors = context => {
+  if (!context.user) {
+    return Promise.resolve([]);
+  }
+
+  return remember(context, 'hiddenAuthors', async () => {
+    const me = await User.findOne({ _id: context.user._id }).select('blocked muted');
+    const ids = me ? [...me.blocked, ...me.muted] : [];
+    const users = await User.find({
+      $or: [{ _id: { $in: ids } }, { blocked: context.user._id }]
+    }).select('username');
+
+    return users.map(user => user.username);
+  });
+};
+
+// visible(), plus only the thoughts the logged in user can read (see readableBy), and
+// leaving out the thoughts by hiddenAuthors. Every query that returns a list of thoughts
+// goes through this.
+const visibleTo = async (context, params) => {
+  const hidden = await hiddenAuthors(context);
+  const conditions = [visible(params), await readableBy(context)];
+
+  if (hidden.length) {
+    conditions.push({ username: { $nin: hidden } });
+  }
+
+  return { $and: conditions };
+};
+
+// whether a user from the database is the logged in user
+const isMe = (user, context) => !!context.user && user._id.equals(context.user._id);
+
+// whether any of the users with these usernames has blocked the logged in user
+const isBlockedBy = (context, usernames) =>
+  User.exists({ username: { $in: usernames }, blocked: context.user._id });
+
+// fills in the users and thought a report points to
+const populateReport = query =>
+  query
+    .populate('reporter', '-__v -password')
+    .populate('resolvedBy', '-__v -password')
+    .populate('thought');
+
+// the most reports the review queue returns at once
+const REPORT_LIMIT = 100;
+
+// creates a report, unless the user already has an open report on the same thought or
+// reaction, in which case that one is returned so the queue doesn't fill up with copies
+const createReport = async (context, { thoughtId, reactionId = null, reason }) => {
+  const existing = await Report.findOne({
+    reporter: context.user._id,
+    thought: thoughtId,
+    reactionId,
+    status: 'OPEN'
+  });
+
+  if (existing) {
+    return populateReport(Report.findOne({ _id: existing._id }));
+  }
+
+  try {
+    const report = await Report.create({ reporter: context.user._id, thought: thoughtId, reactionId, reason });
+    return populateReport(Report.findOne({ _id: report._id }));
+  } catch (e) {
+    if (e.name === 'ValidationError') {
+      throw new UserInputError(Object.values(e.errors)[0].message);
+    }
+    throw e;
+  }
+};
+
+// MongoDB's error code when a unique index (like username or email) already has the value
+const DUPLICATE_KEY = 11000;
+
+// finds a conversation the logged in user is in. Other users' conversations are
+// treated as if they didn't exist.
+const findConversation = async (context, conversationId) => {
+  const conversation = await Conversation.findOne({
+    _id: conversationId,
+    participants: context.user._id
+  });
+
+  if (!conversation) {
+    throw new UserInputError('No conversation found with this id!');
+  }
+
+  if (!(await messageableIds(context, [otherParticipant(conversation, context)])).length) {
+    throw new ForbiddenError('You can only message your friends!');
+  }
+
+  return conversation;
+};
+
+// the _id of the user on the other side of a conversation from the logged in user
+const otherParticipant = (conversation, context) =>
+  conversation.participants.find(_id => !_id.equals(context.user._id));
+
+// the ids out of userIds of the users the logged in user can message: their friends, as
+// long as neither of them has blocked the other. Blocking someone also unfriends them
+// (see blockUser), but both are checked so a message can't get through in between.
+// The conversations with everyone else can't be read or replied to anymore.
+const messageableIds = async (context, userIds) => {
+  const me = await User.findOne({ _id: context.user._id }).select('friends blocked');
+
+  if (!me) {
+    return [];
+  }
+
+  const friends = me.friends.map(String);
+  const blocked = me.blocked.map(String);
+  const ids = userIds.map(String).filter(id => friends.includes(id) && !blocked.includes(id));
+
+  const blockedMe = (await User.find({ _id: { $in: ids }, blocked: context.user._id }).select('_id')).map(
+    user => user._id.toString()
+  );
+
+  return ids.filter(id => !blockedMe.includes(id));
+};
+
+// the logged in user's conversations with the users they can still message, most recent first
+const findConversations = async context => {
+  const conversations = await Conversation.find({ participants: context.user._id }).sort({ lastMessageAt: -1 });
+  const ids = await messageableIds(
+    context,
+    conversations.map(conversation => otherParticipant(conversation, context))
+  );
+
+  return conversations.filter(conversation => ids.includes(otherParticipant(conversation, context).toString()));
+};
+
+// the conversation between two users, created the first time one of them sends a message.
+// The upsert finds or creates it in one step, but two first messages sent at the same
+// moment can still both try to create it, so the one that loses finds the other's instead.
+const findOrCreateConversation = async (userId, otherUserId) => {
+  const participants = [userId.toString(), otherUserId.toString()].sort();
+  const key = participants.join(':');
+
+  try {
+    return await Conversation.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { participants }, $set: { lastMessageAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (e) {
+    if (e.code === DUPLICATE_KEY) {
+      return Conversation.findOneAndUpdate({ key }, { lastMessageAt: new Date() }, { new: true });
+    }
+    throw e;
+  }
+};
+
+// the messages in a conversation the logged in user hasn't read, which are the ones
+// the other user sent that don't have a readAt yet
+const unreadMessages = (context, conversationIds) => ({
+  conversation: { $in: conversationIds },
+  sender: { $ne: context.user._id },
+  readAt: null
+});
+
 const resolvers = {
   // see google docs, MERN Stack Notes, Test the Thought Query, returning array data of a custom data type in GraphQL
   Query: {
@@ -36,18 +513,179 @@ const resolvers = {
     // this data will come through this context parameter as an object.
     // 4. info: This will contain extra information about an operation's current state. 
     // This isn't used as frequently, but it can be implemented for more advanced uses.
-    thoughts: async (parent, { username }) => {
+    thoughts: async (parent, { username }, context) => {
+      const params = username ? { username } : {};
+      return Thought.find(await visibleTo(context, params)).sort({ createdAt: -1 });
+    },
+
+    // one page of thoughts, newest first. Works like the thoughts query above, but
+    // returns at most "first" thoughts after the "after" cursor. See utils/pagination.js.
+    thoughtsConnection: async (parent, { first, after, username }, context) => {
       const params = username ? { username } : {};
-      return Thought.find(params).sort({ createdAt: -1 });
+      return paginate(Thought, await visibleTo(context, params), { first, after });
+    },
+
+    // the logged in user's personal feed. The same as thoughtsConnection, but only
+    // thoughts written by the logged in user or one of their friends.
+    feed: async (parent, { first, after }, context) => {
+      if (context.user) {
+        const userData = await User.findOne({ _id: context.user._id })
+          .select('friends')
+          .populate('friends', 'username');
+
+        // thoughts store their author's username rather than their _id, so match
+        // on the usernames of everyone whose thoughts belong in the feed.
+        const usernames = [
+          context.user.username,
+          ...userData.friends.map(friend => friend.username)
+        ];
+
+        const params = await visibleTo(context, { username: { $in: usernames } });
+        return paginate(Thought, params, { first, after });
+      }
+
+      throw new AuthenticationError('Not logged in');
+    },
+
+    // one page of the thoughts with a tag, newest first. The # is optional, and tags
+    // are saved in lowercase, so #DeepThoughts finds the same thoughts as deepthoughts.
+    thoughtsByTag: async (parent, { tag, first, after }, context) => {
+      const params = { tags: tag.replace(/^#/, '').toLowerCase() };
+      return paginate(Thought, await visibleTo(context, params), { first, after });
+    },
+
+    // the most used tags in thoughts posted within the window, most used first
+    trendingTags: async (parent, { window, limit }) => {
+      const since = new Date(Date.now() - TRENDING_WINDOWS[window || 'DAY']);
+
+      // The aggregation pipeline runs the thoughts through each stage in order:
+      // $match keeps the recent public thoughts, $unwind turns a thought with three tags into
+      // three documents with one tag each, $group counts the documents for each tag,
+      // then we sort by the count and keep the top ones.
+      const tagCounts = await Thought.aggregate([
+        { $match: visible({ createdAt: { $gte: since }, visibility: { $nin: RESTRICTED } }) },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: Math.min(Math.max(limit || 10, 1), 50) }
+      ]);
+
+      return tagCounts.map(({ _id, count }) => ({ tag: _id, count }));
+    },
+
+    // the logged in user's most recent notifications, newest first
+    notifications: async (parent, { unreadOnly }, context) => {
+      if (context.user) {
+        const params = { recipient: context.user._id };
+
+        if (unreadOnly) {
+          params.read = false;
+        }
+
+        return Notification.find(params)
+          .sort({ createdAt: -1 })
+          .limit(NOTIFICATION_LIMIT);
+      }
+
+      throw new AuthenticationError('Not logged in');
+    },
+
+    // search thoughts, reactions and usernames for the words in query. If a type is
+    // given, only that kind of result is returned. Results are sorted by how well
+    // they match, using the score MongoDB's text search gives each document.
+    search: async (parent, { query, type }, context) => {
+      const terms = searchTerms(query);
+      const hidden = await hiddenAuthors(context);
+
+      if (!terms.length) {
+        throw new UserInputError('You need to search for something!');
+      }
+
+      const results = [];
+
+      if (!type || type === 'THOUGHT' || type === 'REACTION') {
+        // $text searches the text index set up in the Thought model, and the
+        // { $meta: 'textScore' } projection adds how well each thought matched.
+        const thoughts = await Thought.find(
+          await visibleTo(context, { $text: { $search: query } }),
+          { score: { $meta: 'textScore' } }
+        )
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(SEARCH_LIMIT);
+
+        thoughts.forEach(thought => {
+          const score = thought.get('score');
+
+          // the text index covers both the thought and its reactions, so check which
+          // one actually has the words. If the index matched a different form of a
+          // word that neither contains exactly, count it as a match on the thought.
+          const matchingReactions = thought.reactions.filter(
+            reaction =>
+              matchesTerms(reaction.reactionBody, terms) && !hidden.includes(reaction.username)
+          );
+          const thoughtMatches =
+            matchesTerms(thought.thoughtText, terms) || !matchingReactions.length;
+
+          if (thoughtMatches && type !== 'REACTION') {
+            results.push({
+              type: 'THOUGHT',
+              score,
+              thought,
+              ...buildSnippet(thought.thoughtText, terms)
+            });
+          }
+
+          if (type !== 'THOUGHT') {
+            matchingReactions.forEach(reaction => {
+              results.push({
+                type: 'REACTION',
+                score,
+                thought,
+                reaction,
+                ...buildSnippet(reaction.reactionBody, terms)
+              });
+            });
+          }
+        });
+      }
+
+      if (!type || type === 'USER') {
+        const users = await User.find(
+          { $text: { $search: query }, username: { $nin: hidden } },
+          { score: { $meta: 'textScore' } }
+        )
+          .select('-__v -password')
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(SEARCH_LIMIT);
+
+        users.forEach(user => {
+          results.push({
+            type: 'USER',
+            score: user.get('score'),
+            user,
+            ...buildSnippet(user.username, terms)
+          });
+        });
+      }
+
+      // the thought and user searches are each sorted by score, so sort them together
+      return results.sort((a, b) => b.score - a.score);
     },
 
     // resolver function to find a single thought.
     // similar to how we handled thoughts, we destructure the _id argument value and 
     // place it into our .findOne() method to look up a single thought by its _id.
-    thought: async (parent, { _id }) => {
+    thought: async (parent, { _id }, context) => {
       // checks the Thought model in the database to return a single thought
       // with the given id.
-      return Thought.findOne({ _id });
+      const thought = await Thought.findOne({ _id });
+
+      // a hidden thought can still be opened by its author and by moderators, see canSee
+      if (thought && !(await canSee(context, thought))) {
+        return null;
+      }
+
+      return thought;
     },
 
     // get all users
@@ -55,23 +693,24 @@ const resolvers = {
     // will return every single piece of data associated with a user, but none of it 
     // will be returned unless we explicitly list those fields we want when we 
     // perform our queries.
-    users: async () => {
-      return User.find()
+    users: async (parent, args, context) => {
+      return User.find({ username: { $nin: await hiddenAuthors(context) } })
       // omit the Mongoose-specific __v property and the user's password 
       // information
-        .select('-__v -password')
-        // We also populate the fields for friends and thoughts, so we 
-        // can get any associated data in return.
-        .populate('friends')
-        .populate('thoughts');
+        // their friends and thoughts are only looked up if the query asks for them,
+        // by the User field resolvers below
+        .select('-__v -password');
     },
 
     // get a user by username
-    user: async (parent, { username }) => {
+    // users who are blocked or muted, either way, can't see each other's profiles
+    user: async (parent, { username }, context) => {
+      if ((await hiddenAuthors(context)).includes(username)) {
+        return null;
+      }
+
       return User.findOne({ username })
-        .select('-__v -password')
-        .populate('friends')
-        .populate('thoughts');
+        .select('-__v -password');
     },
 
     // see google docs, MERN Stack Notes, Implement Auth JWT Middleware to Populate Me Query
@@ -86,18 +725,206 @@ const resolvers = {
       // then we know that the user isn't authenticated and we can throw an AuthenticationError.
       if (context.user) {
         const userData = await User.findOne({ _id: context.user._id })
-          .select('-__v -password')
-          .populate('thoughts')
-          .populate('friends');
+          .select('-__v -password');
     
         return userData;
       }
     
       throw new AuthenticationError('Not logged in');
 
+    },
+
+    // all of the logged in user's data as a JSON string, which the front end
+    // saves as a file. See utils/exportData.js for what's in it.
+    exportMyData: async (parent, args, context) => {
+      if (context.user) {
+        const archive = await buildExport(context.user._id);
+
+        if (!archive) {
+          throw new UserInputError('No user found with this id!');
+        }
+
+        return JSON.stringify(archive, null, 2);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // the review queue for moderators, oldest first so nothing waits forever
+    reports: async (parent, { status }, context) => {
+      await requireRole(context, 'moderator');
+
+      return populateReport(
+        Report.find({ status: status || 'OPEN' })
+          .sort({ createdAt: 1 })
+          .limit(REPORT_LIMIT)
+      );
+    },
+
+    // the users who have sent the logged in user a friend request they
+    // haven't answered yet.
+    friendRequests: async (parent, args, context) => {
+      if (context.user) {
+        const userData = await User.findOne({ _id: context.user._id });
+
+        return loadAll(context.loaders.userById, userData.friendRequests);
+      }
+
+      throw new AuthenticationError('Not logged in');
+    },
+
+    // the users the logged in user has sent a friend request to, that
+    // haven't answered yet. A request is only stored on the user who receives it,
+    // so we look for every user with the logged in user's _id in their friendRequests.
+    sentFriendRequests: async (parent, args, context) => {
+      if (context.user) {
+        return User.find({ friendRequests: context.user._id })
+          .select('-__v -password');
+      }
+
+      throw new AuthenticationError('Not logged in');
+    },
+
+    // the logged in user's conversations with the users they can still message, the one
+    // with the latest message first
+    conversations: async (parent, args, context) => {
+      if (context.user) {
+        return findConversations(context);
+      }
+
+      throw new AuthenticationError('Not logged in');
+    },
+
+    // the messages in one of the logged in user's conversations, newest first and a page
+    // at a time like thoughtsConnection
+    messages: async (parent, { conversationId, first, after }, context) => {
+      if (context.user) {
+        await findConversation(context, conversationId);
+        return paginate(Message, { conversation: conversationId }, { first, after });
+      }
+
+      throw new AuthenticationError('Not logged in');
+    },
+
+    // how many messages the logged in user hasn't read, in all of their conversations
+    unreadMessageCount: async (parent, args, context) => {
+      if (context.user) {
+        const conversations = await findConversations(context);
+        return Message.countDocuments(unreadMessages(context, conversations.map(({ _id }) => _id)));
+      }
+
+      throw new AuthenticationError('Not logged in');
+    }
+  },
+
+  // likes are stored as a list of user ids, so the logged in user liked a thought
+  // or reaction if their _id is in its list. See likedByMe() above.
+  // thoughts and reactions only store their author's username, so the author's
+  // profile, like their avatar, is looked up by it
+  Thought: {
+    likedByMe,
+    author: findAuthor,
+    // reactions by users the logged in user has blocked or muted are left out, here
+    // and in Reaction.replies below
+    reactions: async (parent, args, context) => {
+      const hidden = await hiddenAuthors(context);
+      return parent.reactions.filter(reaction => !hidden.includes(reaction.username));
     }
   },
 
+  // replies are kept in the same flat array as every other reaction on the thought,
+  // so find the ones pointing at this reaction. ownerDocument() is the thought the
+  // reaction is stored in.
+  Reaction: {
+    likedByMe,
+    author: findAuthor,
+    replies: async (parent, args, context) => {
+      const hidden = await hiddenAuthors(context);
+
+      return parent
+        .ownerDocument()
+        .reactions.filter(
+          reaction =>
+            reaction.parentReactionId &&
+            reaction.parentReactionId.equals(parent._id) &&
+            !hidden.includes(reaction.username)
+        );
+    }
+  },
+
+  Upload: GraphQLUpload,
+
+  // images are stored as keys, and the storage driver knows the URLs for them
+  Image: {
+    url: parent => fileUrl(parent.key),
+    thumbnailUrl: parent => fileUrl(parent.thumbnailKey)
+  },
+
+  // the avatar is stored as a key, and the storage driver knows the URL for it.
+  // suspendedUntil has no getter in the model, since it's compared to the current
+  // date when the user logs in, so it's formatted here instead.
+  User: {
+    avatarUrl: parent => fileUrl(parent.avatar),
+    suspendedUntil: parent => parent.suspendedUntil && dateFormat(parent.suspendedUntil),
+    // a user only stores the ids of their friends and thoughts, so the documents are
+    // loaded here, and only when the query asks for them. See utils/loaders.js
+    friends: (parent, args, context) => loadAll(context.loaders.userById, parent.friends),
+    // the logged in user sees all of their own thoughts. Everyone else only sees the ones
+    // they could find with the thoughts query, see visibleTo above.
+    thoughts: async (parent, args, context) => {
+      const thoughts = await loadAll(context.loaders.thoughtById, parent.thoughts);
+
+      if (isMe(parent, context)) {
+        return thoughts;
+      }
+
+      const hidden = await hiddenAuthors(context);
+      const readable = await Promise.all(
+        thoughts.map(
+          async thought => !thought.hidden && !hidden.includes(thought.username) && canRead(context, thought)
+        )
+      );
+
+      return thoughts.filter((thought, i) => readable[i]);
+    },
+    // who a user has blocked or muted is private, so only they can see it
+    blocked: (parent, args, context) =>
+      isMe(parent, context) ? loadAll(context.loaders.userById, parent.blocked) : null,
+    muted: (parent, args, context) =>
+      isMe(parent, context) ? loadAll(context.loaders.userById, parent.muted) : null
+  },
+
+  // a reported reaction is found inside the thought the report points to.
+  // It's null if the reaction has been deleted since.
+  Report: {
+    reaction: parent =>
+      parent.reactionId && parent.thought ? parent.thought.reactions.id(parent.reactionId) : null
+  },
+
+  // The Notification model calls the thought it's about "thought", but the GraphQL type
+  // only exposes its id as thoughtId. A resolver for a single field of a type works like
+  // the query resolvers, with the notification from the database as the parent argument.
+  Notification: {
+    thoughtId: parent => parent.thought
+  },
+
+  // a conversation only has two participants, so the front end only needs the one
+  // that isn't the logged in user. canReply is false once they're no longer friends,
+  // since only friends can send each other messages (see sendMessage).
+  Conversation: {
+    otherUser: (parent, args, context) => context.loaders.userById.load(otherParticipant(parent, context)),
+    lastMessage: parent => Message.findOne({ conversation: parent._id }).sort({ createdAt: -1, _id: -1 }),
+    unreadCount: (parent, args, context) => Message.countDocuments(unreadMessages(context, [parent._id])),
+    canReply: async (parent, args, context) =>
+      (await messageableIds(context, [otherParticipant(parent, context)])).length > 0
+  },
+
+  Message: {
+    conversationId: parent => parent.conversation,
+    sender: (parent, args, context) => context.loaders.userById.load(parent.sender),
+    read: parent => !!parent.readAt
+  },
+
   // A GraphQL query retrieves data, which only accounts for one CRUD operation. 
   // But what about creating, updating, and deleting? For those operations, you can 
   // use a mutation.
@@ -105,21 +932,32 @@ const resolvers = {
   // all resolvers that create, update, and delete.
   Mutation: {
 
-    addUser: async (parent, args) => {
+    addUser: async (parent, args, context) => {
       // creates a user from the args object defined in typeDefs.js
       // Here, the Mongoose User model creates a new user in the database 
       // with whatever is passed in as the args.
       const user = await User.create(args);
 
+      // starts a session for the new user and sets the refresh token cookie.
+      // Defined in utils/session.js
+      const session = await createSession(user, context.res);
+
       // generates a json web token which will include all the user's data
       // on login or account creation. Defined in utils/auth.js
-      const token = signToken(user);
+      const token = signToken(user, session._id);
+
+      // email the new user a link to verify their email address
+      await sendVerificationEmail(user, await createToken(user, 'EMAIL_VERIFICATION'));
     
       // return an object that combines the token with the user's data.
       return { token, user };
     },
 
-    login: async (parent, { email, password }) => {
+    login: async (parent, { email, password }, context) => {
+      // an account that's locked after too many wrong passwords can't be logged in to,
+      // even with the right one. See utils/rateLimit.js
+      await checkLoginLockout(email);
+
       // finds a user in mongoDB database using mongoose
       // by their email.
       // if no user with that email exists, nothing will be 
@@ -139,6 +977,7 @@ const resolvers = {
         // incorrect. If a malicious user is trying to hack into someone's account, 
         // for example, you won't want to confirm that they've guessed the email address 
         // correctly and only need to focus on the password now.
+        await recordLoginFailure(email);
         throw new AuthenticationError('Incorrect credentials');
       }
     
@@ -146,21 +985,370 @@ const resolvers = {
       const correctPw = await user.isCorrectPassword(password);
     
       if (!correctPw) {
+        await recordLoginFailure(email);
         throw new AuthenticationError('Incorrect credentials');
       }
+
+      await clearLoginFailures(email);
+
+      // suspended users can't log in until their suspension is over
+      if (user.suspendedUntil && user.suspendedUntil > new Date()) {
+        const reason = user.suspensionReason ? `: ${user.suspensionReason}` : '';
+        throw new ForbiddenError(`Your account is suspended until ${dateFormat(user.suspendedUntil)}${reason}`);
+      }
     
       // see above, addUser
-      const token = signToken(user);
+      const session = await createSession(user, context.res);
+      const token = signToken(user, session._id);
       return { token, user };
     },
 
+    // trades the refresh token cookie for a new JWT. The front end calls this when its
+    // JWT has expired, so it doesn't need a valid JWT itself.
+    refreshToken: async (parent, args, context) => {
+      const session = await rotateSession(context.cookies[REFRESH_COOKIE], context.res);
+      const user = await User.findOne({ _id: session.user }).select('-__v -password');
+
+      if (!user) {
+        throw new AuthenticationError('You need to be logged in!');
+      }
+
+      const token = signToken(user, session._id);
+      return { token, user };
+    },
+
+    // ends the session the refresh token cookie belongs to. Like refreshToken it
+    // doesn't need a valid JWT, so a user whose JWT expired can still log out.
+    logout: async (parent, args, context) => {
+      await revokeSession(context.cookies[REFRESH_COOKIE], context.res);
+      return true;
+    },
+
+    logoutAllDevices: async (parent, args, context) => {
+      if (context.user) {
+        await revokeAllSessions(context.user._id, context.res);
+        return true;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // always returns true, so nobody can tell from the response whether
+    // an account with this email exists
+    requestPasswordReset: async (parent, { email }) => {
+      const user = await User.findOne({ email });
+
+      if (user) {
+        await sendPasswordResetEmail(user, await createToken(user, 'PASSWORD_RESET'));
+      }
+
+      return true;
+    },
+
+    resetPassword: async (parent, { token, newPassword }, context) => {
+      // checked before using up the token, so the user can try again with a longer
+      // password. The User model checks this too, but its error isn't as friendly.
+      if (newPassword.length < 5) {
+        throw new UserInputError('Your password must be at least 5 characters long!');
+      }
+
+      const userId = await useToken(token, 'PASSWORD_RESET');
+      const user = userId && (await User.findOne({ _id: userId }));
+
+      if (!user) {
+        throw new UserInputError('This link is invalid or has expired!');
+      }
+
+      // save() runs the pre-save middleware in the User model, which hashes the new password
+      user.password = newPassword;
+      await user.save();
+
+      // whoever knew the old password shouldn't stay logged in
+      await revokeAllSessions(user._id, context.res);
+
+      return true;
+    },
+
+    verifyEmail: async (parent, { token }) => {
+      const userId = await useToken(token, 'EMAIL_VERIFICATION');
+
+      if (!userId) {
+        throw new UserInputError('This link is invalid or has expired!');
+      }
+
+      return User.findOneAndUpdate(
+        { _id: userId },
+        { emailVerified: true },
+        { new: true }
+      ).select('-__v -password');
+    },
+
+    // every argument is optional, and only the ones passed in are changed. An empty
+    // string clears a field, except for the username, which every user needs.
+    updateProfile: async (parent, args, context) => {
+      if (context.user) {
+        const updates = {};
+        const unset = {};
+
+        PROFILE_FIELDS.forEach(field => {
+          if (typeof args[field] !== 'string') {
+            return;
+          }
+
+          const value = args[field].trim();
+
+          if (value) {
+            updates[field] = value;
+          } else if (field === 'username') {
+            throw new UserInputError('Your username cannot be empty!');
+          } else {
+            unset[field] = '';
+          }
+        });
+
+        const oldUsername = context.user.username;
+        const username = updates.username || oldUsername;
+        let user;
+
+        try {
+          user = await User.findOneAndUpdate(
+            { _id: context.user._id },
+            { $set: updates, $unset: unset },
+            { new: true, runValidators: true }
+          ).select('-__v -password');
+        } catch (e) {
+          if (e.code === DUPLICATE_KEY) {
+            throw new UserInputError('That username is already taken!');
+          }
+          // the limits set in the User model, like the longest bio allowed
+          if (e.name === 'ValidationError') {
+            throw new UserInputError(Object.values(e.errors)[0].message);
+          }
+          throw e;
+        }
+
+        if (username !== oldUsername) {
+          // Thoughts, reactions and notifications store the username they were made by
+          // instead of the user's _id (see the Thought model), so each copy has to change too.
+          // $[reaction] is a placeholder for every reaction matched by the arrayFilters,
+          // so only the user's own reactions are changed, not every reaction on the thought.
+          await Thought.updateMany({ username: oldUsername }, { username });
+          await Thought.updateMany(
+            { 'reactions.username': oldUsername },
+            { $set: { 'reactions.$[reaction].username': username } },
+            { arrayFilters: [{ 'reaction.username': oldUsername }] }
+          );
+          await Notification.updateMany({ actorUsername: oldUsername }, { actorUsername: username });
+
+          // @mentions of the old username don't point to this user anymore. The text
+          // still says @oldUsername, so it just stops being a link.
+          await Thought.updateMany({ mentions: oldUsername }, { $pull: { mentions: oldUsername } });
+          await Thought.updateMany(
+            { 'reactions.mentions': oldUsername },
+            { $pull: { 'reactions.$[].mentions': oldUsername } }
+          );
+
+          // the JWTs on the user's other devices still have the old username in them,
+          // and the resolvers trust the username in a JWT, so those devices would keep
+          // posting as the old name, which someone else could now sign up with.
+          // Like changePassword, stay logged in here but log out everywhere else.
+          await revokeOtherSessions(user._id, context.user.sessionId);
+        }
+
+        // the old JWT has the old username in it, so send back a new one
+        const token = signToken(user, context.user.sessionId);
+        return { token, user };
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    changeEmail: async (parent, { newEmail, currentPassword }, context) => {
+      if (context.user) {
+        const user = await checkPassword(context, currentPassword);
+
+        // save() checks the email is a real email address, see the User model
+        user.email = newEmail;
+        user.emailVerified = false;
+
+        try {
+          await user.save();
+        } catch (e) {
+          if (e.code === DUPLICATE_KEY) {
+            throw new UserInputError('That email is already in use!');
+          }
+          throw e;
+        }
+
+        // the new address has to be verified, just like when the user signed up
+        await sendVerificationEmail(user, await createToken(user, 'EMAIL_VERIFICATION'));
+
+        const token = signToken(user, context.user.sessionId);
+        return { token, user };
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    changePassword: async (parent, { currentPassword, newPassword }, context) => {
+      if (context.user) {
+        if (newPassword.length < 5) {
+          throw new UserInputError('Your password must be at least 5 characters long!');
+        }
+
+        const user = await checkPassword(context, currentPassword);
+
+        // save() runs the pre-save middleware in the User model, which hashes the new password
+        user.password = newPassword;
+        await user.save();
+
+        // stay logged in here, but everywhere else has to log in with the new password
+        await revokeOtherSessions(user._id, context.user.sessionId);
+
+        const token = signToken(user, context.user.sessionId);
+        return { token, user };
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // the image is uploaded as a file, see utils/images.js. It's cropped to a square and
+    // shrunk before it's saved, and the user's old avatar is deleted once the new one is in place.
+    uploadAvatar: async (parent, { image }, context) => {
+      if (context.user) {
+        const avatar = await resizeAvatar(await readUpload(image));
+        const key = makeKey('avatars', 'webp');
+
+        await saveFile(key, avatar, 'image/webp');
+
+        const oldUser = await User.findOneAndUpdate(
+          { _id: context.user._id },
+          { avatar: key }
+        );
+        await removeFile(oldUser.avatar);
+
+        return User.findOne({ _id: context.user._id }).select('-__v -password');
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    removeAvatar: async (parent, args, context) => {
+      if (context.user) {
+        const oldUser = await User.findOneAndUpdate(
+          { _id: context.user._id },
+          { $unset: { avatar: '' } }
+        );
+        await removeFile(oldUser.avatar);
+
+        return User.findOne({ _id: context.user._id }).select('-__v -password');
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // deletes the logged in user and everything they've left around the site. Needs their
+    // password, like changeEmail and changePassword, since this can't be undone.
+    deleteAccount: async (parent, { password }, context) => {
+      if (context.user) {
+        const user = await checkPassword(context, password);
+        const { _id, username } = user;
+
+        // their thoughts, and the notifications about them
+        const thoughts = await Thought.find({ username }).select('_id images');
+        const thoughtIds = thoughts.map(thought => thought._id);
+        await Thought.deleteMany({ _id: { $in: thoughtIds } });
+        await removeAttachments(thoughts.flatMap(thought => thought.images));
+        await Notification.deleteMany({ thought: { $in: thoughtIds } });
+        await Report.deleteMany({ $or: [{ thought: { $in: thoughtIds } }, { reporter: _id }] });
+
+        // their reactions on other users' thoughts. Like removeReaction, the replies
+        // under each reaction go with it so they aren't left pointing at nothing.
+        const reactedTo = await Thought.find({ 'reactions.username': username });
+
+        for (const thought of reactedTo) {
+          const ids = thought.reactions
+            .filter(reaction => reaction.username === username)
+            .flatMap(reaction => threadIds(thought.reactions, reaction._id));
+
+          await Thought.updateOne(
+            { _id: thought._id },
+            { $pull: { reactions: { _id: { $in: ids } } } }
+          );
+        }
+
+        // their likes and @mentions on everything that's left
+        await Thought.updateMany({ likes: _id }, { $pull: { likes: _id } });
+        await Thought.updateMany({ 'reactions.likes': _id }, { $pull: { 'reactions.$[].likes': _id } });
+        await Thought.updateMany({ mentions: username }, { $pull: { mentions: username } });
+        await Thought.updateMany(
+          { 'reactions.mentions': username },
+          { $pull: { 'reactions.$[].mentions': username } }
+        );
+
+        // take them off every other user's friends list, friend requests, and block and mute lists
+        await User.updateMany(
+          { $or: [{ friends: _id }, { friendRequests: _id }, { blocked: _id }, { muted: _id }] },
+          { $pull: { friends: _id, friendRequests: _id, blocked: _id, muted: _id } }
+        );
+
+        // the notifications they received and the ones they caused
+        await Notification.deleteMany({ $or: [{ recipient: _id }, { actorUsername: username }] });
+
+        // their conversations, and every message in them from both users
+        const conversations = await Conversation.find({ participants: _id }).select('_id');
+        const conversationIds = conversations.map(conversation => conversation._id);
+        await Message.deleteMany({ conversation: { $in: conversationIds } });
+        await Conversation.deleteMany({ _id: { $in: conversationIds } });
+
+        // log them out everywhere, then remove their sessions and tokens for good
+        await revokeAllSessions(_id, context.res);
+        await Session.deleteMany({ user: _id });
+        await Token.deleteMany({ user: _id });
+
+        await removeFile(user.avatar);
+        await User.deleteOne({ _id });
+
+        return true;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
     addThought: async (parent, args, context) => {
       // if user has valid token
       if (context.user) {
         // creates a new thought with the data given in args and adds
         // the user's username from the context.
-        const thought = await Thought.create({ ...args, username: context.user.username });
+        const { tags, mentions } = await parseText(args.thoughtText);
+
+        // the images are saved first, so the thought can be created with their keys.
+        // If the thought can't be created, its images are deleted again.
+        const images = await storeAttachments(args.images || []);
+        let thought;
+
+        try {
+          thought = await Thought.create({
+            thoughtText: args.thoughtText,
+            visibility: args.visibility || 'public',
+            images,
+            tags,
+            mentions,
+            username: context.user.username
+          });
+        } catch (e) {
+          await removeAttachments(images);
+          throw e;
+        }
     
+        // let everyone mentioned in the thought know about it, if they can read it
+        await notify({
+          recipients: await readersOf(thought, mentions),
+          type: 'MENTION',
+          actor: context.user,
+          thoughtId: thought._id
+        });
+
         // push new thought to user's array
         await User.findByIdAndUpdate(
           { _id: context.user._id },
@@ -171,20 +1359,155 @@ const resolvers = {
           { new: true }
         );
     
+        // send the new thought to everyone subscribed to thoughtAdded
+        pubsub.publish(THOUGHT_ADDED, { thoughtAdded: thought });
+
         return thought;
       }
     
       throw new AuthenticationError('You need to be logged in!');
     },
 
-    addReaction: async (parent, { thoughtId, reactionBody }, context) => {
+    // edit the text of a thought. Only the user who posted the thought can edit it.
+    updateThought: async (parent, { thoughtId, thoughtText }, context) => {
+      if (context.user) {
+        const thought = await Thought.findOne({ _id: thoughtId });
+
+        if (!thought) {
+          throw new UserInputError('No thought found with this id!');
+        }
+
+        // the username is copied onto the thought when it is created (see addThought),
+        // so we can compare it against the username stored in the JWT.
+        if (thought.username !== context.user.username) {
+          throw new ForbiddenError('You can only edit your own thoughts!');
+        }
+
+        // the text changed, so find its tags and mentions again
+        const { tags, mentions } = await parseText(thoughtText);
+
+        // runValidators makes sure the new text still follows the 1-280 character
+        // rule from the Thought model, since update queries skip validation by default.
+        return Thought.findOneAndUpdate(
+          { _id: thoughtId },
+          { thoughtText, tags, mentions },
+          { new: true, runValidators: true }
+        );
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // delete a thought and take it out of its owner's thoughts array.
+    removeThought: async (parent, { thoughtId }, context) => {
       if (context.user) {
+        const thought = await Thought.findOne({ _id: thoughtId });
+
+        if (!thought) {
+          throw new UserInputError('No thought found with this id!');
+        }
+
+        if (thought.username !== context.user.username) {
+          throw new ForbiddenError('You can only delete your own thoughts!');
+        }
+
+        await Thought.deleteOne({ _id: thoughtId });
+        await removeAttachments(thought.images);
+        await Report.deleteMany({ thought: thoughtId });
+
+        // notifications about a thought that no longer exists would lead nowhere
+        await Notification.deleteMany({ thought: thoughtId });
+
+        // the opposite of the $push in addThought. $pull removes the thought's id
+        // from the user's thoughts array so populate() doesn't try to find it later.
+        await User.findByIdAndUpdate(
+          { _id: context.user._id },
+          { $pull: { thoughts: thought._id } }
+        );
+
+        // return the deleted thought so the front end knows which one to
+        // remove from its cache.
+        return thought;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // leave a reaction on a thought, or reply to one of its reactions if a
+    // parentReactionId is given.
+    addReaction: async (parent, { thoughtId, reactionBody, parentReactionId }, context) => {
+      if (context.user) {
+        const thought = await findReadableThought(context, thoughtId);
+        let parentReaction = null;
+
+        // a reply has to be to a reaction on the same thought, and can't go deeper
+        // than MAX_REPLY_DEPTH
+        if (parentReactionId) {
+          parentReaction = thought.reactions.id(parentReactionId);
+
+          if (!parentReaction) {
+            throw new UserInputError('No reaction found with this id!');
+          }
+
+          if (replyDepth(thought.reactions, parentReaction) + 1 > MAX_REPLY_DEPTH) {
+            throw new UserInputError('This thread is too deep to reply to!');
+          }
+        }
+
+        // users can't react to the thoughts of someone who blocked them, or reply to their reactions
+        if (await isBlockedBy(context, [thought.username, parentReaction && parentReaction.username])) {
+          throw new ForbiddenError("You can't react to this thought!");
+        }
+
+        const { tags, mentions } = await parseText(reactionBody);
         const updatedThought = await Thought.findOneAndUpdate(
           { _id: thoughtId },
           // push new reaction to thought's reactions array
-          { $push: { reactions: { reactionBody, username: context.user.username } } },
+          {
+            $push: {
+              reactions: {
+                reactionBody,
+                tags,
+                mentions,
+                parentReactionId: parentReaction && parentReaction._id,
+                username: context.user.username
+              }
+            }
+          },
           { new: true, runValidators: true }
         );
+
+        if (updatedThought) {
+          // let the thought's author know someone reacted, the author of the reaction
+          // being replied to that someone replied, and anyone mentioned in the
+          // reaction that they were mentioned. If the thought's author is the one
+          // being replied to, they only get the reply notification.
+          await notify({
+            recipients: [updatedThought.username].filter(
+              username => !parentReaction || username !== parentReaction.username
+            ),
+            type: 'REACTION',
+            actor: context.user,
+            thoughtId
+          });
+          if (parentReaction) {
+            await notify({
+              recipients: await readersOf(thought, [parentReaction.username]),
+              type: 'REPLY',
+              actor: context.user,
+              thoughtId
+            });
+          }
+          await notify({
+            recipients: await readersOf(thought, mentions),
+            type: 'MENTION',
+            actor: context.user,
+            thoughtId
+          });
+
+          // send the thought with its new reaction to everyone looking at it
+          pubsub.publish(REACTION_ADDED, { reactionAdded: updatedThought });
+        }
     
         return updatedThought;
       }
@@ -192,26 +1515,585 @@ const resolvers = {
       throw new AuthenticationError('You need to be logged in!');
     },
 
-    addFriend: async (parent, { friendId }, context) => {
+    // edit the body of a reaction. Only the user who left the reaction can edit it.
+    // A thought the user can no longer read, like a friends only thought by someone who
+    // has unfriended them since, is treated as if it didn't exist.
+    updateReaction: async (parent, { thoughtId, reactionId, reactionBody }, context) => {
       if (context.user) {
-        const updatedUser = await User.findOneAndUpdate(
+        const thought = await findReadableThought(context, thoughtId);
+
+        // reactions are subdocuments embedded in the thought, so there is no Reaction
+        // model to search. Mongoose arrays of subdocuments have an .id() method
+        // that finds the subdocument with the matching _id instead.
+        const reaction = thought && thought.reactions.id(reactionId);
+
+        if (!reaction) {
+          throw new UserInputError('No reaction found with this id!');
+        }
+
+        if (reaction.username !== context.user.username) {
+          throw new ForbiddenError('You can only edit your own reactions!');
+        }
+
+        // the body changed, so find its tags and mentions again
+        const { tags, mentions } = await parseText(reactionBody);
+
+        // the positional $ operator updates the array element matched by
+        // 'reactions._id' in the filter, so only that reaction changes.
+        return Thought.findOneAndUpdate(
+          { _id: thoughtId, 'reactions._id': reactionId },
+          {
+            $set: {
+              'reactions.$.reactionBody': reactionBody,
+              'reactions.$.tags': tags,
+              'reactions.$.mentions': mentions
+            }
+          },
+          { new: true, runValidators: true }
+        );
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // delete a reaction. Both the user who left the reaction and the author of
+    // the thought it was left on are allowed to remove it, so users can clean
+    // abusive replies off of their own thoughts.
+    removeReaction: async (parent, { thoughtId, reactionId }, context) => {
+      if (context.user) {
+        const thought = await Thought.findOne({ _id: thoughtId });
+        const reaction = thought && thought.reactions.id(reactionId);
+
+        if (!reaction) {
+          throw new UserInputError('No reaction found with this id!');
+        }
+
+        if (
+          reaction.username !== context.user.username &&
+          thought.username !== context.user.username
+        ) {
+          throw new ForbiddenError('You can only delete reactions that are yours or on your thoughts!');
+        }
+
+        // the opposite of the $push in addReaction. The replies under the reaction
+        // are removed along with it, so they aren't left pointing at a reaction
+        // that no longer exists.
+        const updatedThought = await Thought.findOneAndUpdate(
+          { _id: thoughtId },
+          { $pull: { reactions: { _id: { $in: threadIds(thought.reactions, reaction._id) } } } },
+          { new: true }
+        );
+
+        // users can still delete their reactions on a thought they can't read anymore,
+        // but they don't get the thought back
+        return updatedThought && (await canSee(context, updatedThought)) ? updatedThought : null;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // $addToSet only adds the user's id if it isn't already in the list,
+    // so a user can't like the same thought more than once.
+    likeThought: async (parent, { thoughtId }, context) => {
+      if (context.user) {
+        await findReadableThought(context, thoughtId);
+
+        const thought = await Thought.findOneAndUpdate(
+          { _id: thoughtId },
+          { $addToSet: { likes: context.user._id } },
+          { new: true }
+        );
+
+        if (!thought) {
+          throw new UserInputError('No thought found with this id!');
+        }
+
+        return thought;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    unlikeThought: async (parent, { thoughtId }, context) => {
+      if (context.user) {
+        await findReadableThought(context, thoughtId);
+
+        const thought = await Thought.findOneAndUpdate(
+          { _id: thoughtId },
+          { $pull: { likes: context.user._id } },
+          { new: true }
+        );
+
+        if (!thought) {
+          throw new UserInputError('No thought found with this id!');
+        }
+
+        return thought;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // the reaction is found by matching its _id in the reactions array, and the
+    // positional $ operator in 'reactions.$.likes' points to the reaction that matched.
+    likeReaction: async (parent, { thoughtId, reactionId }, context) => {
+      if (context.user) {
+        await findReadableThought(context, thoughtId);
+
+        const thought = await Thought.findOneAndUpdate(
+          { _id: thoughtId, 'reactions._id': reactionId },
+          { $addToSet: { 'reactions.$.likes': context.user._id } },
+          { new: true }
+        );
+
+        if (!thought) {
+          throw new UserInputError('No reaction found with this id!');
+        }
+
+        return thought;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    unlikeReaction: async (parent, { thoughtId, reactionId }, context) => {
+      if (context.user) {
+        await findReadableThought(context, thoughtId);
+
+        const thought = await Thought.findOneAndUpdate(
+          { _id: thoughtId, 'reactions._id': reactionId },
+          { $pull: { 'reactions.$.likes': context.user._id } },
+          { new: true }
+        );
+
+        if (!thought) {
+          throw new UserInputError('No reaction found with this id!');
+        }
+
+        return thought;
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // ask another user to be friends. Nothing is added to either friends array until
+    // the other user accepts. $addToSet keeps a user from sending the same request twice.
+    sendFriendRequest: async (parent, { friendId }, context) => {
+      if (context.user) {
+        if (friendId === context.user._id) {
+          throw new UserInputError("You can't send a friend request to yourself!");
+        }
+
+        const friend = await User.findOne({ _id: friendId });
+
+        if (!friend) {
+          throw new UserInputError('No user found with this id!');
+        }
+
+        if (friend.blocked.some(_id => _id.equals(context.user._id))) {
+          throw new ForbiddenError("You can't send a friend request to this user!");
+        }
+
+        // ObjectIds are objects, so they can't be compared with ===. Mongoose gives
+        // them an .equals() method that works with both ObjectIds and strings.
+        if (friend.friends.some(_id => _id.equals(context.user._id))) {
+          throw new UserInputError('You are already friends with this user!');
+        }
+
+        const me = await User.findOne({ _id: context.user._id });
+
+        if (me.blocked.some(_id => _id.equals(friendId))) {
+          throw new UserInputError('Unblock this user before sending them a friend request!');
+        }
+
+        // if the other user already asked to be friends, sending a request back
+        // is the same as accepting theirs.
+        if (me.friendRequests.some(_id => _id.equals(friendId))) {
+          await makeFriends(context.user._id, friendId);
+          await notify({ recipients: [friend.username], type: 'FRIEND_ACCEPTED', actor: context.user });
+        } else if (!friend.friendRequests.some(_id => _id.equals(context.user._id))) {
+          await User.updateOne(
+            { _id: friendId },
+            { $addToSet: { friendRequests: context.user._id } }
+          );
+          await notify({ recipients: [friend.username], type: 'FRIEND_REQUEST', actor: context.user });
+        }
+
+        return User.findOne({ _id: friendId })
+          .select('-__v -password');
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // accept a friend request that another user sent to the logged in user.
+    acceptFriendRequest: async (parent, { friendId }, context) => {
+      if (context.user) {
+        const me = await User.findOne({ _id: context.user._id });
+
+        if (!me.friendRequests.some(_id => _id.equals(friendId))) {
+          throw new UserInputError('No friend request found from this user!');
+        }
+
+        await makeFriends(context.user._id, friendId);
+
+        // let the user who sent the request know it was accepted
+        const friend = await User.findOne({ _id: friendId }).select('username');
+        await notify({ recipients: [friend.username], type: 'FRIEND_ACCEPTED', actor: context.user });
+
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // throw away a friend request that another user sent to the logged in user.
+    declineFriendRequest: async (parent, { friendId }, context) => {
+      if (context.user) {
+        await User.updateOne(
           { _id: context.user._id },
-          // This mutation will look for an incoming friendId and add that to 
-          // the current user's friends array. A user can't be friends with the same 
-          // person twice, though, hence why we're using the $addToSet operator instead 
-          // of $push to prevent duplicate entries.
-          { $addToSet: { friends: friendId } },
+          { $pull: { friendRequests: friendId } }
+        );
+
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // unfriend a user. Since friendships are mutual, each user is pulled out
+    // of the other's friends array.
+    removeFriend: async (parent, { friendId }, context) => {
+      if (context.user) {
+        await User.updateOne(
+          { _id: context.user._id },
+          { $pull: { friends: friendId } }
+        );
+        await User.updateOne(
+          { _id: friendId },
+          { $pull: { friends: context.user._id } }
+        );
+
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // mark the logged in user's notifications as read. Only the given notifications
+    // if there are any, otherwise all of them. The recipient is part of the filter so
+    // users can't mark someone else's notifications as read.
+    markNotificationsRead: async (parent, { notificationIds }, context) => {
+      if (context.user) {
+        const params = { recipient: context.user._id, read: false };
+
+        if (notificationIds) {
+          params._id = { $in: notificationIds };
+        }
+
+        // find them before updating, since updateMany doesn't return the documents
+        const notifications = await Notification.find(params);
+
+        await Notification.updateMany(
+          { _id: { $in: notifications.map(({ _id }) => _id) } },
+          { read: true }
+        );
+
+        return notifications.map(notification => {
+          notification.read = true;
+          return notification;
+        });
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // blocking a user also ends any friendship or friend request between the two users
+    blockUser: async (parent, { userId }, context) => {
+      if (context.user) {
+        if (userId === context.user._id) {
+          throw new UserInputError("You can't block yourself!");
+        }
+
+        if (!(await User.exists({ _id: userId }))) {
+          throw new UserInputError('No user found with this id!');
+        }
+
+        await User.updateOne(
+          { _id: context.user._id },
+          { $addToSet: { blocked: userId }, $pull: { friends: userId, friendRequests: userId } }
+        );
+        await User.updateOne(
+          { _id: userId },
+          { $pull: { friends: context.user._id, friendRequests: context.user._id } }
+        );
+
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    unblockUser: async (parent, { userId }, context) => {
+      if (context.user) {
+        await User.updateOne({ _id: context.user._id }, { $pull: { blocked: userId } });
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // muting only hides the other user's thoughts and reactions. Unlike blocking,
+    // they don't know and can still interact with the logged in user.
+    muteUser: async (parent, { userId }, context) => {
+      if (context.user) {
+        if (userId === context.user._id) {
+          throw new UserInputError("You can't mute yourself!");
+        }
+
+        if (!(await User.exists({ _id: userId }))) {
+          throw new UserInputError('No user found with this id!');
+        }
+
+        await User.updateOne({ _id: context.user._id }, { $addToSet: { muted: userId } });
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    unmuteUser: async (parent, { userId }, context) => {
+      if (context.user) {
+        await User.updateOne({ _id: context.user._id }, { $pull: { muted: userId } });
+        return findMe(context);
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // any logged in user can report a thought or one of its reactions
+    reportThought: async (parent, { thoughtId, reason }, context) => {
+      if (context.user) {
+        await findReadableThought(context, thoughtId);
+
+        return createReport(context, { thoughtId, reason });
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    reportReaction: async (parent, { thoughtId, reactionId, reason }, context) => {
+      if (context.user) {
+        const thought = await findReadableThought(context, thoughtId);
+
+        if (!thought.reactions.id(reactionId)) {
+          throw new UserInputError('No reaction found with this id!');
+        }
+
+        return createReport(context, { thoughtId, reactionId, reason });
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // hides a thought, or shows it again if hidden is false
+    hideThought: async (parent, { thoughtId, hidden }, context) => {
+      await requireRole(context, 'moderator');
+
+      const thought = await Thought.findOneAndUpdate(
+        { _id: thoughtId },
+        { hidden: hidden !== false },
+        { new: true }
+      );
+
+      if (!thought) {
+        throw new UserInputError('No thought found with this id!');
+      }
+
+      return thought;
+    },
+
+    // stops a user from logging in for a number of days, and logs them out everywhere.
+    // 0 days lifts a suspension. Moderators can't suspend other moderators or admins,
+    // only admins can.
+    suspendUser: async (parent, { userId, days, reason }, context) => {
+      const moderator = await requireRole(context, 'moderator');
+      const user = await User.findOne({ _id: userId }).select('-__v -password');
+
+      if (!user) {
+        throw new UserInputError('No user found with this id!');
+      }
+
+      if (user._id.equals(moderator._id)) {
+        throw new UserInputError("You can't suspend yourself!");
+      }
+
+      if (hasRole(user, 'moderator') && !hasRole(moderator, 'admin')) {
+        throw new ForbiddenError('Only an admin can suspend a moderator!');
+      }
+
+      if (days < 0) {
+        throw new UserInputError('The number of days cannot be negative!');
+      }
+
+      if (days === 0) {
+        user.suspendedUntil = null;
+        user.suspensionReason = undefined;
+      } else {
+        user.suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        user.suspensionReason = reason;
+
+        // no res, so the moderator's own refresh token cookie is left alone
+        await revokeAllSessions(user._id);
+      }
+
+      await user.save();
+      return user;
+    },
+
+    // closes a report. Anything done about it, like hiding the thought, is done
+    // with the other moderation mutations first.
+    resolveReport: async (parent, { reportId, status }, context) => {
+      const moderator = await requireRole(context, 'moderator');
+
+      if (status === 'OPEN') {
+        throw new UserInputError('A report can only be resolved or dismissed!');
+      }
+
+      const report = await populateReport(
+        Report.findOneAndUpdate(
+          { _id: reportId },
+          { status, resolvedBy: moderator._id, resolvedAt: new Date() },
           { new: true }
-        ).populate('friends');
-    
-        return updatedUser;
+        )
+      );
+
+      if (!report) {
+        throw new UserInputError('No report found with this id!');
       }
-    
+
+      return report;
+    },
+
+    // admins can give other users any role. Changing their own role isn't allowed,
+    // so the last admin can't lock everyone out of the admin page by accident.
+    setUserRole: async (parent, { username, role }, context) => {
+      const admin = await requireRole(context, 'admin');
+
+      if (username === admin.username) {
+        throw new UserInputError("You can't change your own role!");
+      }
+
+      const user = await User.findOneAndUpdate(
+        { username },
+        { role },
+        { new: true }
+      ).select('-__v -password');
+
+      if (!user) {
+        throw new UserInputError('No user found with this username!');
+      }
+
+      return user;
+    },
+
+    // users can only message their friends. Blocking a user ends the friendship too,
+    // so blocked users can't message each other either.
+    sendMessage: async (parent, { toUserId, body }, context) => {
+      if (context.user) {
+        if (toUserId === context.user._id) {
+          throw new UserInputError("You can't send a message to yourself!");
+        }
+
+        if (!(await User.exists({ _id: toUserId }))) {
+          throw new UserInputError('No user found with this id!');
+        }
+
+        if (!(await messageableIds(context, [toUserId])).length) {
+          throw new ForbiddenError('You can only send messages to your friends!');
+        }
+
+        // the body is checked against the limits in the Message model, like the 280
+        // character limit, before a conversation is started for it
+        const message = new Message({ sender: context.user._id, body });
+
+        try {
+          await message.validate(['body']);
+        } catch (e) {
+          if (e.name === 'ValidationError') {
+            throw new UserInputError(Object.values(e.errors)[0].message);
+          }
+          throw e;
+        }
+
+        const conversation = await findOrCreateConversation(context.user._id, toUserId);
+        message.conversation = conversation._id;
+
+        return message.save();
+      }
+
+      throw new AuthenticationError('You need to be logged in!');
+    },
+
+    // marks every message the other user sent in the conversation as read, when the
+    // logged in user opens it
+    markConversationRead: async (parent, { conversationId }, context) => {
+      if (context.user) {
+        const conversation = await findConversation(context, conversationId);
+
+        await Message.updateMany(unreadMessages(context, [conversation._id]), { readAt: new Date() });
+
+        return conversation;
+      }
+
       throw new AuthenticationError('You need to be logged in!');
     }
+  },
+
+  // see google docs, MERN Stack Notes, GraphQL Subscriptions
+  // Subscription resolvers don't return data themselves. subscribe returns an async
+  // iterator from pubsub that hands over each payload published for its event, and
+  // GraphQL sends the field with the same name as the subscription down the WebSocket.
+  // context here comes from the WebSocket connection (see server.js), not a request.
+  Subscription: {
+    // new thoughts are only sent to subscribers who can see them, see canSee
+    thoughtAdded: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(THOUGHT_ADDED),
+        (payload, args, context) => canSee(context, payload.thoughtAdded)
+      )
+    },
+
+    // every reaction is published, but only sent to the clients that
+    // subscribed to the thought it was left on, and can see it
+    reactionAdded: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(REACTION_ADDED),
+        async (payload, { thoughtId }, context) =>
+          payload.reactionAdded._id.toString() === thoughtId &&
+          (await canSee(context, payload.reactionAdded))
+      )
+    },
 
+    // each user only receives their own notifications
+    notificationReceived: {
+      subscribe: withFilter(
+        (parent, args, context) => {
+          if (context.user) {
+            return pubsub.asyncIterator(NOTIFICATION_RECEIVED);
+          }
+
+          throw new AuthenticationError('You need to be logged in!');
+        },
+        (payload, args, context) =>
+          payload.notificationReceived.recipient.toString() === context.user._id
+      )
+    }
   }
   
 };
+
+// the mutations with a rate limit check it before they run, see utils/rateLimit.js
+withRateLimits(resolvers.Mutation);
   
   module.exports = resolvers;
\ No newline at end of file
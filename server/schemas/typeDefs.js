@@ -47,13 +47,32 @@ const typeDefs =
 // data for each thought. As a reminder, "reactions" are simply replies to or 
 // comments about a single thought.
 gql`
+    directive @cost(value: Int = 1, listSize: Int, multiplier: String) on FIELD_DEFINITION
+
+    scalar Upload
+
+    type Image {
+        url: String
+        thumbnailUrl: String
+        width: Int
+        height: Int
+    }
+
     type Thought {
         _id: ID
         thoughtText: String
         createdAt: String
         username: String
+        author: User @cost
+        tags: [String]
+        mentions: [String]
+        images: [Image]
+        hidden: Boolean
+        visibility: Visibility
         reactionCount: Int
-        reactions: [Reaction]
+        likeCount: Int
+        likedByMe: Boolean
+        reactions: [Reaction] @cost(value: 0, listSize: 20)
     }
 
     type Reaction {
@@ -61,31 +80,232 @@ gql`
         reactionBody: String
         createdAt: String
         username: String
+        author: User @cost
+        tags: [String]
+        mentions: [String]
+        likeCount: Int
+        likedByMe: Boolean
+        parentReactionId: ID
+        replies: [Reaction] @cost(value: 0, listSize: 5)
+    }
+
+    enum TrendingWindow {
+        HOUR
+        DAY
+        WEEK
+    }
+
+    type TagCount {
+        tag: String
+        count: Int
+    }
+
+    type ThoughtEdge {
+        cursor: String!
+        node: Thought
+    }
+
+    type PageInfo {
+        endCursor: String
+        hasNextPage: Boolean!
+    }
+
+    type ThoughtConnection {
+        edges: [ThoughtEdge]
+        pageInfo: PageInfo!
     }
 
     type User {
         _id: ID
         username: String
         email: String
+        emailVerified: Boolean
+        displayName: String
+        bio: String
+        location: String
+        website: String
+        avatarUrl: String
+        role: Role
+        suspendedUntil: String
+        suspensionReason: String
         friendCount: Int
-        thoughts: [Thought]
-        friends: [User]
+        thoughts: [Thought] @cost(listSize: 20)
+        friends: [User] @cost(listSize: 20)
+        blocked: [User] @cost(listSize: 10)
+        muted: [User] @cost(listSize: 10)
+    }
+
+    enum ReportStatus {
+        OPEN
+        RESOLVED
+        DISMISSED
+    }
+
+    type Report {
+        _id: ID
+        reason: String
+        status: ReportStatus
+        createdAt: String
+        reporter: User @cost
+        thought: Thought @cost
+        reaction: Reaction
+        resolvedBy: User @cost
+        resolvedAt: String
+    }
+
+    enum Visibility {
+        public
+        friends
+        private
+    }
+
+    enum Role {
+        user
+        moderator
+        admin
+    }
+
+    enum NotificationType {
+        REACTION
+        REPLY
+        MENTION
+        FRIEND_REQUEST
+        FRIEND_ACCEPTED
+    }
+
+    type Notification {
+        _id: ID
+        type: NotificationType
+        actorUsername: String
+        thoughtId: ID
+        read: Boolean
+        createdAt: String
+    }
+
+    type Conversation {
+        _id: ID
+        otherUser: User @cost
+        lastMessage: Message @cost
+        lastMessageAt: String
+        unreadCount: Int @cost
+        canReply: Boolean @cost
+    }
+
+    type Message {
+        _id: ID
+        conversationId: ID
+        sender: User @cost
+        body: String
+        read: Boolean
+        createdAt: String
+    }
+
+    type MessageEdge {
+        cursor: String!
+        node: Message
+    }
+
+    type MessageConnection {
+        edges: [MessageEdge]
+        pageInfo: PageInfo!
+    }
+
+    enum SearchType {
+        THOUGHT
+        REACTION
+        USER
+    }
+
+    type SearchHighlight {
+        start: Int
+        end: Int
+    }
+
+    type SearchResult {
+        type: SearchType
+        score: Float
+        snippet: String
+        highlights: [SearchHighlight]
+        thought: Thought
+        reaction: Reaction
+        user: User
     }
 
     type Query {
-        users: [User]
-        user(username: String!): User
-        thoughts(username: String): [Thought]
-        thought(_id: ID!): Thought
-        me: User
+        users: [User] @cost(listSize: 50)
+        user(username: String!): User @cost
+        thoughts(username: String): [Thought] @cost(listSize: 50)
+        thoughtsConnection(first: Int, after: String, username: String): ThoughtConnection @cost(listSize: 20, multiplier: "first")
+        feed(first: Int, after: String): ThoughtConnection @cost(listSize: 20, multiplier: "first")
+        thoughtsByTag(tag: String!, first: Int, after: String): ThoughtConnection @cost(listSize: 20, multiplier: "first")
+        trendingTags(window: TrendingWindow, limit: Int): [TagCount] @cost(value: 5)
+        search(query: String!, type: SearchType): [SearchResult] @cost(value: 10, listSize: 50)
+        notifications(unreadOnly: Boolean): [Notification] @cost
+        thought(_id: ID!): Thought @cost
+        me: User @cost
+        friendRequests: [User] @cost(listSize: 20)
+        sentFriendRequests: [User] @cost(listSize: 20)
+        exportMyData: String @cost(value: 10)
+        reports(status: ReportStatus): [Report] @cost(listSize: 100)
+        conversations: [Conversation] @cost(listSize: 20)
+        messages(conversationId: ID!, first: Int, after: String): MessageConnection @cost(listSize: 20, multiplier: "first")
+        unreadMessageCount: Int @cost
     }
 
     type Mutation {
         login(email: String!, password: String!): Auth
         addUser(username: String!, email: String!, password: String!): Auth
-        addThought(thoughtText: String!): Thought
-        addReaction(thoughtId: ID!, reactionBody: String!): Thought
-        addFriend(friendId: ID!): User
+        refreshToken: Auth
+        logout: Boolean
+        logoutAllDevices: Boolean
+        requestPasswordReset(email: String!): Boolean
+        resetPassword(token: String!, newPassword: String!): Boolean
+        verifyEmail(token: String!): User
+        updateProfile(
+            username: String
+            displayName: String
+            bio: String
+            location: String
+            website: String
+        ): Auth
+        changeEmail(newEmail: String!, currentPassword: String!): Auth
+        changePassword(currentPassword: String!, newPassword: String!): Auth
+        deleteAccount(password: String!): Boolean
+        uploadAvatar(image: Upload!): User
+        removeAvatar: User
+        blockUser(userId: ID!): User
+        unblockUser(userId: ID!): User
+        muteUser(userId: ID!): User
+        unmuteUser(userId: ID!): User
+        reportThought(thoughtId: ID!, reason: String!): Report
+        reportReaction(thoughtId: ID!, reactionId: ID!, reason: String!): Report
+        hideThought(thoughtId: ID!, hidden: Boolean): Thought
+        suspendUser(userId: ID!, days: Int!, reason: String): User
+        resolveReport(reportId: ID!, status: ReportStatus!): Report
+        setUserRole(username: String!, role: Role!): User
+        sendMessage(toUserId: ID!, body: String!): Message
+        markConversationRead(conversationId: ID!): Conversation
+        addThought(thoughtText: String!, images: [Upload], visibility: Visibility): Thought
+        updateThought(thoughtId: ID!, thoughtText: String!): Thought
+        removeThought(thoughtId: ID!): Thought
+        addReaction(thoughtId: ID!, reactionBody: String!, parentReactionId: ID): Thought
+        updateReaction(thoughtId: ID!, reactionId: ID!, reactionBody: String!): Thought
+        removeReaction(thoughtId: ID!, reactionId: ID!): Thought
+        likeThought(thoughtId: ID!): Thought
+        unlikeThought(thoughtId: ID!): Thought
+        likeReaction(thoughtId: ID!, reactionId: ID!): Thought
+        unlikeReaction(thoughtId: ID!, reactionId: ID!): Thought
+        sendFriendRequest(friendId: ID!): User
+        acceptFriendRequest(friendId: ID!): User
+        declineFriendRequest(friendId: ID!): User
+        removeFriend(friendId: ID!): User
+        markNotificationsRead(notificationIds: [ID]): [Notification]
+    }
+
+    type Subscription {
+        thoughtAdded: Thought
+        reactionAdded(thoughtId: ID!): Thought
+        notificationReceived: Notification
     }
 
     type Auth {
@@ -107,11 +327,31 @@ gql`
 // the query to work. If there's no parameter, we simply return all thoughts. But if we want 
 // to look up a single thought or user, we need to know which one we're looking up and thus 
 // necessitate a parameter for us to look up that data.
+// thoughtsConnection is the paginated version of thoughts. Instead of every thought at once, 
+// it returns the first thoughts after the "after" cursor, each wrapped in an edge with its own 
+// cursor, and a pageInfo object that says whether there are more and where to start next time. 
+// This shape is the Relay connection pattern, which Apollo Client knows how to merge page by page.
+// feed is paginated the same way, but only returns thoughts written by the logged in user 
+// and their friends, so it requires a valid JWT.
+// TAGS AND MENTIONS -----------------
+// When a thought or reaction is posted, any #tags and @mentions in its text are saved on it 
+// as the tags and mentions fields. thoughtsByTag pages through the thoughts with a tag the same 
+// way as thoughtsConnection. trendingTags counts how many thoughts used each tag within the 
+// last hour, day or week (a day if no window is given) and returns the most used ones first.
+// SEARCH ----------------------------
+// search looks for words in thoughts, reactions and usernames, or only one of those if a type 
+// is given. An enum is a type that can only be one of a fixed list of values, so type can only 
+// be THOUGHT, REACTION or USER. Each SearchResult says what type of match it is and holds the 
+// matching thought, reaction (along with the thought it was left on) or user. The snippet is a 
+// short piece of the matching text, and highlights are the positions of the search words inside 
+// it, so the front end can highlight them without the server sending back any HTML.
 // To find a single user we will use the thought query, and for a single user we will use the user query.
 // With this type, we define that a user will return all the data in their Mongoose model. 
 // Note that the friends field is an array that will be populated with data that also adheres 
 // to the User type, as a user's friends should follow the same data pattern as that user. Also 
 // notice the thoughts field is an array of Thought types
+// friendRequests returns the users who have asked the logged in user to be their friend, 
+// and sentFriendRequests returns the users the logged in user is still waiting to hear back from.
 // MUTATIONS ----------------------------
 // A GraphQL query retrieves data, which only accounts for one CRUD operation. But what about 
 // creating, updating, and deleting? For those operations, you can use a mutation.
@@ -119,9 +359,48 @@ gql`
 // login() mutation and an addUser() mutation. Both will return a Auth object: which contains the
 // JWT and any other optional user info of either the user who 
 // successfully logged in or the user who was just created on sign-up.
+// updateThought() and removeThought() both return the affected Thought so the front end 
+// can either refresh it in the cache or know which one to take out of its cached lists.
+// Only the author of a thought is allowed to run either of them.
 // Note that addReaction() will return the parent Thought instead of the newly created Reaction. 
 // This is because the front end will ultimately track changes on the thought level, 
 // not the reaction level.
+// updateReaction() and removeReaction() return the parent Thought for the same reason. 
+// A reaction can only be edited by the user who wrote it, but it can be removed by either 
+// its author or the author of the thought it was left on.
+// REPLIES ---------------------------
+// Reactions can be replies to other reactions, which turns a thought's reactions into threads. 
+// Passing a parentReactionId to addReaction() replies to that reaction instead of the thought. 
+// Replies can only be nested so deep (see MAX_REPLY_DEPTH in resolvers.js), after that a reply 
+// has to be left on a reaction further up the thread. A thought's reactions field still returns 
+// every reaction, replies included, with each reply's parentReactionId, and each reaction's 
+// replies field returns the reactions that replied directly to it. Removing a reaction also 
+// removes all of its replies.
+// LIKES -----------------------------
+// A user can like any thought or reaction once. likeCount is how many users liked it, and 
+// likedByMe is whether the logged in user is one of them (always false when logged out), so 
+// the front end knows which way the like button should go. Liking something twice, or unliking 
+// something that wasn't liked, doesn't change anything. Like the other reaction mutations, 
+// likeReaction() and unlikeReaction() return the parent Thought.
+// FRIENDS ---------------------------
+// Friendships are mutual, so becoming friends takes two steps. sendFriendRequest() asks 
+// another user to be friends, and nothing changes in either friends array until that user 
+// runs acceptFriendRequest(). declineFriendRequest() throws the request away, and removeFriend() 
+// takes each user out of the other's friends array. sendFriendRequest() returns the user the 
+// request was sent to, the other three return the logged in user with their updated friends.
+// NOTIFICATIONS ---------------------
+// A notification is created when someone reacts to the logged in user's thought, replies to 
+// one of their reactions, mentions them, sends them a friend request or accepts theirs. 
+// notifications returns the logged in user's most recent notifications, or only the ones they 
+// haven't seen yet if unreadOnly is true. markNotificationsRead marks the given notifications 
+// as read, or all of them if no ids are given, and returns the notifications it changed so the 
+// front end's cache can update.
+// SUBSCRIPTIONS ---------------------
+// Queries and mutations are asked for by the front end, but a subscription is kept open over 
+// a WebSocket and the server pushes data down it whenever something happens. thoughtAdded sends 
+// every new thought, reactionAdded sends a thought each time someone reacts to it, with all of 
+// its reactions, and notificationReceived sends the logged in user their new notifications as 
+// they're created. notificationReceived needs a valid JWT, sent when the WebSocket connects.
 // AUTH ------------------------------
 // Now that we have a way to generate tokens in utils/auth.js, we need to update the 
 // GraphQL type definitions to include it. A token isn't part of the User model, though, 
@@ -129,6 +408,71 @@ gql`
 // generated when a user is logged in. Instead, we'll create a 
 // new type specifically for authentication.
 // This means that an Auth type must return a token and can optionally include any other user data.
+// SESSIONS --------------------------
+// login() and addUser() also start a session and send back a refresh token in an httpOnly cookie. 
+// When the JWT expires, refreshToken() trades the cookie for a new JWT and a new refresh token. 
+// logout() ends the session the cookie belongs to, so its JWTs stop working right away instead of 
+// when they expire, and logoutAllDevices() ends every one of the logged in user's sessions.
+// PASSWORD RESET AND EMAIL VERIFICATION
+// requestPasswordReset() emails the user a link with a token that can be used once, within an 
+// hour, to choose a new password with resetPassword(). It returns true whether or not an account 
+// has that email, so it can't be used to find out who has an account. Resetting a password also 
+// logs the user out everywhere, in case someone else was logged in with the old one. 
+// When a user signs up, they're emailed a link to verify their email address, and verifyEmail() 
+// uses the token from that link to set emailVerified on their account.
+// ACCOUNT SETTINGS ------------------
+// updateProfile() changes the logged in user's username and the rest of their profile. A new 
+// username is also changed on every thought, reaction and notification they've made, since those 
+// keep their own copy of the username. 
+// changeEmail() and changePassword() need the user's current password, so someone using a 
+// computer the user left logged in can't take over the account. A new email has to be verified 
+// again, and changing the password logs the user out on every other device. 
+// The username and email are saved in the JWT, so all three return a new one with the user.
+// exportMyData returns everything the user has posted, along with their profile and friends, 
+// as a JSON string the front end can save as a file. deleteAccount() needs the user's password 
+// too, and removes the user along with their thoughts, reactions, likes and friendships.
+// PROFILES --------------------------
+// uploadAvatar() takes an image file (see IMAGES below), resizes it and saves it 
+// with the storage driver (see utils/storage.js). avatarUrl is where the browser can load it from. 
+// A thought's or reaction's author is the user with its username, for showing their avatar.
+// IMAGES ----------------------------
+// addThought() can also take up to four images. Upload is a scalar from graphql-upload for 
+// files sent in a multipart request (see server.js), so the images are sent as real files 
+// instead of text. Each one is checked, resized and saved with a thumbnail (see utils/images.js).
+// QUERY LIMITS ----------------------
+// Every query is checked for how deep it goes and how much work it is before it runs (see 
+// utils/queryLimits.js). @cost marks the fields that look something up in the database. value 
+// is what the field costs (1 if it isn't given), and the fields picked inside it are counted 
+// once for each item it can return: the number passed in its multiplier argument, like first, 
+// or listSize if that wasn't passed. Fields without @cost are free.
+// DIRECT MESSAGES -------------------
+// Friends can send each other private messages with sendMessage(), which starts a conversation 
+// between the two of them the first time. conversations() lists the logged in user's own 
+// conversations, latest first, each with how many of its messages they haven't read, and 
+// messages() pages through one of them newest first, the same way as thoughtsConnection. 
+// Only the two participants can see a conversation, and only while they're friends and neither 
+// has blocked the other. After that it's left out of conversations(), messages() and 
+// markConversationRead() are refused, canReply is false and so is sendMessage(). 
+// markConversationRead() marks the other user's messages as read when the conversation is opened.
+// VISIBILITY ------------------------
+// A thought's visibility decides who can read it: everyone (public, the default), only the 
+// author's friends (friends), or only the author (private). It's checked in every query that 
+// returns thoughts, including a user's populated thoughts, the subscriptions, and the mutations 
+// that react to or like a thought, which treat a thought the user can't read as not found. 
+// Like the Role values, the Visibility values are lowercase, the same as on the Thought model.
+// BLOCKING AND MUTING ---------------
+// The thoughts and reactions of users the logged in user has blocked or muted are left out of 
+// every query, and so are their profiles. Blocking also goes the other way: the blocked user can't 
+// see the blocker's thoughts, react to them or send them a friend request. Muting is quieter, the 
+// muted user can still do all of that. The four mutations return the logged in user, and only 
+// they can see their own blocked and muted lists.
+// MODERATION ------------------------
+// Any logged in user can report a thought or reaction with reportThought() and reportReaction(). 
+// The rest is only for moderators and admins (see requireRole in resolvers.js): reports() is the 
+// review queue, oldest first, hideThought() hides a thought from everyone but its author (or shows 
+// it again with hidden: false), suspendUser() stops a user from logging in for a number of days 
+// (0 lifts the suspension), and resolveReport() closes a report. Only admins can setUserRole(). 
+// The Role values are lowercase, the same as the role saved on the User model.
 
 // export the typeDefs
-module.exports = typeDefs;
\ No newline at end of file
+module.exports = typeDefs;
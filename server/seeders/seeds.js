@@ -36,10 +36,12 @@ db.once('open', async () => {
 
     while (friendId === userId) {
       const randomUserIndex = Math.floor(Math.random() * createdUsers.ops.length);
-      friendId = createdUsers.ops[randomUserIndex];
+      friendId = createdUsers.ops[randomUserIndex]._id;
     }
 
+    // friendships are mutual, so both users get each other in their friends array
     await User.updateOne({ _id: userId }, { $addToSet: { friends: friendId } });
+    await User.updateOne({ _id: friendId }, { $addToSet: { friends: userId } });
   }
 
   // create thoughts
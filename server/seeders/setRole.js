@@ -0,0 +1,25 @@
+// gives a user a role, like making the first admin, who can then give out roles
+// from the admin page. Run it with the username and the role:
+//   npm run set-role -- someUsername admin
+const db = require('../config/connection');
+const { User } = require('../models');
+
+const [username, role] = process.argv.slice(2);
+const ROLES = User.schema.path('role').enumValues;
+
+if (!username || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+db.once('open', async () => {
+  const user = await User.findOneAndUpdate({ username }, { role }, { new: true });
+
+  if (!user) {
+    console.error(`No user found with the username ${username}`);
+    process.exit(1);
+  }
+
+  console.log(`${user.username} is now a ${user.role}`);
+  process.exit(0);
+});
@@ -1,6 +1,21 @@
 const express = require('express');
 // import ApolloServer
 const { ApolloServer } = require('apollo-server-express');
+// shuts the HTTP server down gracefully when Apollo is stopped
+const { ApolloServerPluginDrainHttpServer } = require('apollo-server-core');
+
+// see google docs, MERN Stack Notes, GraphQL Subscriptions
+// Subscriptions need a connection that stays open, so they run over a WebSocket
+// instead of regular HTTP requests. http is built into Node and lets the WebSocket
+// server and the Express app share the same port.
+const { createServer } = require('http');
+const { WebSocketServer } = require('ws');
+// graphql-ws runs GraphQL operations sent over the WebSocket
+const { useServer } = require('graphql-ws/lib/use/ws');
+// combines the typeDefs and resolvers into a single schema that both
+// the Apollo server and the WebSocket server can use
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { validate, specifiedRules } = require('graphql');
 
 // import our typeDefs and resolvers
 const { typeDefs, resolvers } = require('./schemas');
@@ -8,12 +23,89 @@ const db = require('./config/connection');
 
 const path = require('path');
 
+// reads the cookies sent with each request into req.cookies. The refresh token
+// is sent as a cookie, see utils/session.js
+const cookieParser = require('cookie-parser');
+
+// where uploaded files are saved, see utils/storage.js
+const { UPLOAD_DIR, UPLOAD_URL } = require('./utils/storage');
+
+// reads files sent to /graphql in a multipart request, like the images attached to
+// a thought, and hands them to the resolvers as Upload promises. See utils/images.js
+const { graphqlUploadExpress } = require('graphql-upload');
+const { MAX_IMAGE_SIZE, MAX_ATTACHMENTS } = require('./utils/images');
+
+// limits on how deep and how expensive a single query can be, see utils/queryLimits.js
+const { depthRule, costLimitPlugin, costLimitOnSubscribe } = require('./utils/queryLimits');
+
+// batches the users and thoughts looked up by the field resolvers, see utils/loaders.js
+const { createLoaders } = require('./utils/loaders');
+
 // auth users using JWT
 const { authMiddleware } = require('./utils/auth');
+// checks the token and session of each WebSocket connection, see utils/socketAuth.js
+const socketAuth = require('./utils/socketAuth');
+
+// make sure the JWT secrets and settings make sense before starting anything,
+// so a missing or bad config is caught now instead of when someone tries to log in.
+// See config/auth.js
+const { validateAuthConfig } = require('./config/auth');
+
+try {
+  validateAuthConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 const PORT = process.env.PORT || 3001;
 const app = express();
 
+// Behind a proxy, like Heroku's router, every request seems to come from the proxy's
+// IP address, which would put every user in the same rate limit (see utils/rateLimit.js).
+// TRUST_PROXY is how many proxies are in front of the server, so Express can read the
+// real address from the X-Forwarded-For header they add. It's left off by default,
+// since anyone can send that header when there's no proxy to overwrite it.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+const httpServer = createServer(app);
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+// listen for WebSocket connections on the same /graphql path the Apollo server uses
+const wsServer = new WebSocketServer({
+  server: httpServer,
+  path: '/graphql'
+});
+
+// Browsers can't set headers on a WebSocket, so the front end sends its token in the
+// connectionParams when it connects instead (see client/src/App.js). The token is
+// checked once when the socket connects, and the user it holds becomes context.user in
+// the subscription resolvers. The socket is closed when the token expires or its session
+// is revoked, so the front end connects again with a new one. See utils/socketAuth.js
+// A subscription can stay open for hours, so its loaders don't cache anything, or it
+// would keep sending out authors and friends as they were when it started. subscription
+// tells the resolvers not to save anything else on the context either, like who the
+// user is friends with or has blocked (see remember() in schemas/resolvers.js).
+const serverCleanup = useServer(
+  {
+    schema,
+    onConnect: socketAuth.onConnect,
+    context: ctx => ({
+      user: ctx.extra.user,
+      loaders: createLoaders({ cache: false }),
+      subscription: true
+    }),
+    // the same depth and cost limits as the Apollo server below
+    validate: (schema, document) => validate(schema, document, [...specifiedRules, depthRule]),
+    onSubscribe: socketAuth.checkSessionOnSubscribe(costLimitOnSubscribe(schema)),
+    onNext: socketAuth.onNext,
+    onClose: socketAuth.onClose
+  },
+  wsServer
+);
+
 // *****TO RUN THE SERVER AND CLIENT, type npm run develop. This will run both servers
 // using concurrently
 
@@ -22,10 +114,9 @@ const app = express();
 const startServer = async () => {
   // create a new Apollo server and pass in our schema data
   const server = new ApolloServer({ 
-    // define the type definitions (queries and mutations) and resolvers
-    // of the server
-    typeDefs, 
-    resolvers, 
+    // the type definitions (queries, mutations and subscriptions) and resolvers
+    // of the server, combined into one schema above
+    schema, 
     // see google docs, MERN Stack Notes, Implement Auth JWT Middleware to Populate Me Query
     // When you instantiate a new instance of ApolloServer, you can 
     // pass in a context method that's set to return whatever you 
@@ -38,7 +129,31 @@ const startServer = async () => {
     // keep in mind that the current user's JWT will be sent along with every request
     // that needs authorization.
     // see utils/auth.js
-    context: authMiddleware
+    // Every request also gets its own set of DataLoaders, so the users and thoughts it
+    // asks for are looked up together, and only once. See utils/loaders.js
+    context: async args => {
+      const context = await authMiddleware(args);
+      context.loaders = createLoaders();
+      return context;
+    },
+    // queries that go too deep are refused like any other invalid query, before they run.
+    // Too expensive ones are refused by the plugin below. See utils/queryLimits.js
+    validationRules: [depthRule],
+    // when the server shuts down, stop accepting new HTTP requests and
+    // close every open WebSocket connection
+    plugins: [
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+      costLimitPlugin(schema),
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await serverCleanup.dispose();
+            }
+          };
+        }
+      }
+    ]
   });
 
   // Start the Apollo server
@@ -54,6 +169,7 @@ const startServer = async () => {
 
   // log where we can go to test our GQL API
   console.log(`Use GraphQL at http://localhost:${PORT}${server.graphqlPath}`);
+  console.log(`Subscriptions at ws://localhost:${PORT}${server.graphqlPath}`);
 };
 
 // Initialize the Apollo server
@@ -61,6 +177,15 @@ startServer();
 
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
+app.use(cookieParser());
+
+// this runs before the Apollo middleware, which is only added once the Apollo server
+// has started. Files over the size limit are cut off while they're still uploading.
+app.use('/graphql', graphqlUploadExpress({ maxFileSize: MAX_IMAGE_SIZE, maxFiles: MAX_ATTACHMENTS }));
+
+// uploaded files like avatars, when they're saved to the server's own disk.
+// See utils/storage.js
+app.use(UPLOAD_URL, express.static(UPLOAD_DIR));
 
 
 // Serve up static assets
@@ -102,8 +227,10 @@ app.get('*', (req, res) => {
 });
 
 
+// listen with the http server rather than app.listen(), so the
+// WebSocket server is listening on the same port
 db.once('open', () => {
-  app.listen(PORT, () => {
+  httpServer.listen(PORT, () => {
     console.log(`API server running on port ${PORT}!`);
   });
 });
@@ -0,0 +1,180 @@
+// An in-memory stand-in for MongoDB, so the resolvers can be tested without a database.
+// fakeDb() replaces find(), findOne() and exists() on the models with versions that
+// search arrays of real Mongoose documents, understanding the parts of MongoDB's query
+// language the resolvers use. Everything else on the models is left alone.
+
+// ObjectIds and Dates are compared by value, like MongoDB does
+const valueOf = value => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  if (value && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+
+  return value;
+};
+
+// the raw value at path, without the getters (like the date formatting on createdAt)
+const getPath = (doc, path) =>
+  typeof doc.get === 'function' ? doc.get(path, null, { getters: false }) : doc[path];
+
+// a field matches a value if it equals it, or if it's an array that contains it
+const equals = (field, value) =>
+  Array.isArray(field)
+    ? field.some(item => valueOf(item) === valueOf(value))
+    : valueOf(field) === valueOf(value);
+
+const OPERATORS = {
+  $in: (field, values) => values.some(value => equals(field, value)),
+  $nin: (field, values) => !values.some(value => equals(field, value)),
+  $ne: (field, value) => !equals(field, value),
+  $lt: (field, value) => valueOf(field) < valueOf(value),
+  $gt: (field, value) => valueOf(field) > valueOf(value)
+};
+
+const isOperators = condition =>
+  condition &&
+  typeof condition === 'object' &&
+  !Array.isArray(condition) &&
+  Object.keys(condition).some(key => key.startsWith('$'));
+
+// $text searches the same fields as the text indexes in the models
+const searchText = (doc, search) => {
+  const text = [
+    doc.thoughtText,
+    doc.username,
+    ...(doc.reactions || []).map(reaction => reaction.reactionBody)
+  ]
+    .join(' ')
+    .toLowerCase();
+
+  return search
+    .toLowerCase()
+    .split(/\s+/)
+    .some(word => text.includes(word));
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(part => matches(doc, part));
+      case '$or':
+        return condition.some(part => matches(doc, part));
+      case '$text':
+        return searchText(doc, condition.$search);
+      default: {
+        const field = getPath(doc, key);
+
+        if (isOperators(condition)) {
+          return Object.entries(condition).every(([operator, value]) => {
+            if (!OPERATORS[operator]) {
+              throw new Error(`fakeDb doesn't understand ${operator}`);
+            }
+
+            return OPERATORS[operator](field, value);
+          });
+        }
+
+        return equals(field, condition);
+      }
+    }
+  });
+
+// Stands in for a Mongoose query. The chained methods are recorded, and the search runs
+// when it's awaited. populate() looks the ids at a path up in the users, since every
+// path the resolvers populate here holds users.
+class FakeQuery {
+  constructor(docs, users, single) {
+    this.docs = docs;
+    this.users = users;
+    this.single = single;
+    this.sortBy = {};
+    this.max = Infinity;
+    this.paths = [];
+  }
+
+  select() {
+    return this;
+  }
+
+  sort(sortBy) {
+    this.sortBy = sortBy;
+    return this;
+  }
+
+  limit(max) {
+    this.max = max;
+    return this;
+  }
+
+  populate(path) {
+    this.paths.push(path);
+    return this;
+  }
+
+  populated(doc) {
+    // a copy of the document with the populated paths swapped in, leaving the stored
+    // document with its ids
+    const copy = Object.create(doc);
+
+    this.paths.forEach(path => {
+      const ids = getPath(doc, path).map(valueOf);
+      const users = this.users().filter(user => ids.includes(valueOf(user._id)));
+
+      Object.defineProperty(copy, path, { value: users });
+    });
+
+    return copy;
+  }
+
+  async exec() {
+    const sorts = Object.entries(this.sortBy).filter(([, order]) => typeof order === 'number');
+    const compare = (a, b) => {
+      for (const [path, order] of sorts) {
+        const first = valueOf(getPath(a, path));
+        const second = valueOf(getPath(b, path));
+
+        if (first !== second) {
+          return (first < second ? -1 : 1) * order;
+        }
+      }
+
+      return 0;
+    };
+
+    const found = [...this.docs]
+      .sort(compare)
+      .slice(0, this.max)
+      .map(doc => (this.paths.length ? this.populated(doc) : doc));
+
+    return this.single ? found[0] || null : found;
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+// replaces the search methods on each model with ones that search collections[name].
+// The arrays can be changed by the tests, and later searches will see the changes.
+// Returns a function that puts the real methods back.
+const fakeDb = (models, collections) => {
+  const users = () => collections.User || [];
+
+  const spies = Object.entries(models).flatMap(([name, Model]) => {
+    const search = filter => (collections[name] || []).filter(doc => matches(doc, filter));
+
+    return [
+      jest.spyOn(Model, 'find').mockImplementation(filter => new FakeQuery(search(filter), users, false)),
+      jest.spyOn(Model, 'findOne').mockImplementation(filter => new FakeQuery(search(filter), users, true)),
+      jest.spyOn(Model, 'exists').mockImplementation(async filter => search(filter).length > 0)
+    ];
+  });
+
+  return () => spies.forEach(spy => spy.mockRestore());
+};
+
+module.exports = { fakeDb };
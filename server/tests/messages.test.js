@@ -0,0 +1,84 @@
+// direct messages are only between friends. Once two users stop being friends, or one of
+// them blocks the other, their conversation can't be read or replied to anymore.
+
+// bcrypt is only used to hash passwords, which these tests never do
+jest.mock('bcrypt', () => ({}));
+
+const { User, Conversation, Message } = require('../models');
+const resolvers = require('../schemas/resolvers');
+const { createLoaders } = require('../utils/loaders');
+const { fakeDb } = require('./fakeDb');
+
+const collections = {};
+let restoreDb;
+let alice, bob, conversation;
+
+const contextFor = user => ({
+  user: { _id: user._id.toString(), username: user.username, email: user.email },
+  loaders: createLoaders()
+});
+
+beforeAll(() => {
+  restoreDb = fakeDb({ User, Conversation, Message }, collections);
+});
+
+afterAll(() => restoreDb());
+
+beforeEach(() => {
+  [alice, bob] = ['alice', 'bob'].map(
+    username => new User({ username, email: `${username}@test.com`, password: 'password' })
+  );
+  alice.friends.push(bob._id);
+  bob.friends.push(alice._id);
+
+  conversation = new Conversation({
+    participants: [alice._id, bob._id],
+    key: [alice._id, bob._id].map(String).sort().join(':')
+  });
+
+  collections.User = [alice, bob];
+  collections.Conversation = [conversation];
+  collections.Message = [new Message({ conversation: conversation._id, sender: alice._id, body: 'hi bob' })];
+});
+
+const conversationId = () => conversation._id.toString();
+
+const readMessages = user =>
+  resolvers.Query.messages(null, { conversationId: conversationId() }, contextFor(user));
+
+const sendMessage = (from, to) =>
+  resolvers.Mutation.sendMessage(null, { toUserId: to._id.toString(), body: 'hello' }, contextFor(from));
+
+test('friends can read their conversation', async () => {
+  const connection = await readMessages(bob);
+
+  expect(connection.edges.map(edge => edge.node.body)).toEqual(['hi bob']);
+  expect(await resolvers.Query.conversations(null, {}, contextFor(bob))).toEqual([conversation]);
+});
+
+describe.each([
+  [
+    'they stop being friends',
+    () => {
+      alice.friends.pull(bob._id);
+      bob.friends.pull(alice._id);
+    }
+  ],
+  // blocking also unfriends them, but the block is checked on its own as well
+  ['alice blocks bob', () => alice.blocked.push(bob._id)],
+  ['bob blocks alice', () => bob.blocked.push(alice._id)]
+])('after %s', (name, change) => {
+  beforeEach(() => change());
+
+  test("neither of them can read the conversation, and it isn't listed", async () => {
+    await expect(readMessages(alice)).rejects.toThrow('You can only message your friends!');
+    await expect(readMessages(bob)).rejects.toThrow('You can only message your friends!');
+
+    expect(await resolvers.Query.conversations(null, {}, contextFor(bob))).toEqual([]);
+  });
+
+  test('neither of them can send a message', async () => {
+    await expect(sendMessage(alice, bob)).rejects.toThrow('You can only send messages to your friends!');
+    await expect(sendMessage(bob, alice)).rejects.toThrow('You can only send messages to your friends!');
+  });
+});
@@ -0,0 +1,17 @@
+// a cursor is refused before it's used in a query if it doesn't hold a time and an _id
+
+// bcrypt is only used to hash passwords, which these tests never do
+jest.mock('bcrypt', () => ({}));
+
+const { Thought } = require('../models');
+const { paginate } = require('../utils/pagination');
+
+const cursor = text => Buffer.from(text).toString('base64');
+
+test.each([
+  ['a cursor without an _id', cursor('1700000000000')],
+  ['a cursor with a bad time', cursor('yesterday:5f0000000000000000000001')],
+  ['a cursor with a bad _id', cursor('1700000000000:not-an-id')]
+])('%s is an invalid cursor', async (name, after) => {
+  await expect(paginate(Thought, {}, { after })).rejects.toThrow('Invalid cursor!');
+});
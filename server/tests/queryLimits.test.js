@@ -0,0 +1,42 @@
+// the cost limit can't be dodged with a negative page size, and applies to subscriptions
+// as well as queries
+
+// bcrypt is only used to hash passwords, which these tests never do
+jest.mock('bcrypt', () => ({}));
+
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { parse } = require('graphql');
+const { typeDefs, resolvers } = require('../schemas');
+const { MAX_COST, queryCost, costLimitOnSubscribe } = require('../utils/queryLimits');
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const costOf = query => queryCost(schema, { document: parse(query), variables: {} });
+
+// four levels of the author's friends, which is expensive on its own
+const FRIENDS_OF_FRIENDS = 'author { friends { friends { friends { friends { username } } } } }';
+
+test('a negative first costs the same as first: 1', () => {
+  const connection = first =>
+    `thoughtsConnection(first: ${first}) { edges { node { ${FRIENDS_OF_FRIENDS} } } }`;
+
+  expect(costOf(`{ ${connection(-1000)} }`)).toBe(costOf(`{ ${connection(1)} }`));
+
+  // so it can't make up for the cost of another field in the same query
+  const expensive = `thoughtsConnection(first: 50) { edges { node { ${FRIENDS_OF_FRIENDS} } } }`;
+  expect(costOf(`{ a: ${expensive} b: ${connection(-100000)} }`)).toBeGreaterThan(costOf(`{ ${expensive} }`));
+});
+
+test('a subscription over the cost limit is refused', () => {
+  const onSubscribe = costLimitOnSubscribe(schema);
+  const subscribe = query => onSubscribe({}, { payload: { query, variables: {} } });
+
+  const query = `subscription { thoughtAdded { ${FRIENDS_OF_FRIENDS} } }`;
+  expect(costOf(query)).toBeGreaterThan(MAX_COST);
+
+  const errors = subscribe(query);
+  expect(errors).toHaveLength(1);
+  expect(errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+
+  expect(subscribe('subscription { thoughtAdded { thoughtText author { username } } }')).toBeUndefined();
+});
@@ -0,0 +1,37 @@
+// logged in calls are limited by both the user and their IP address, so neither a new
+// account nor a new address resets the count
+
+// bcrypt is only used to hash passwords, which these tests never do
+jest.mock('bcrypt', () => ({}));
+
+const { LIMITS, withRateLimits } = require('../utils/rateLimit');
+
+const { max } = LIMITS.sendMessage;
+const { sendMessage } = withRateLimits({ sendMessage: async () => 'sent' });
+
+const send = context => sendMessage(null, {}, context);
+
+const sendUpToTheLimit = async context => {
+  for (let i = 0; i < max; i++) {
+    await send(context);
+  }
+};
+
+test('another account on the same address is still limited', async () => {
+  await sendUpToTheLimit({ user: { _id: 'alice' }, ip: '10.0.0.1' });
+
+  await expect(send({ user: { _id: 'bob' }, ip: '10.0.0.1' })).rejects.toThrow("You're doing that too often!");
+  await expect(send({ ip: '10.0.0.1' })).rejects.toThrow("You're doing that too often!");
+});
+
+test('the same account on another address is still limited', async () => {
+  await sendUpToTheLimit({ user: { _id: 'carol' }, ip: '10.0.0.2' });
+
+  await expect(send({ user: { _id: 'carol' }, ip: '10.0.0.3' })).rejects.toThrow("You're doing that too often!");
+});
+
+test('other users on other addresses are not limited', async () => {
+  await sendUpToTheLimit({ user: { _id: 'dave' }, ip: '10.0.0.4' });
+
+  await expect(send({ user: { _id: 'erin' }, ip: '10.0.0.5' })).resolves.toBe('sent');
+});
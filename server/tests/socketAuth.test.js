@@ -0,0 +1,73 @@
+// a WebSocket is only trusted for as long as the token it connected with: it's closed when
+// the token expires or its session is revoked, and nothing more is sent on it
+
+// bcrypt is only used to hash passwords, which these tests never do
+jest.mock('bcrypt', () => ({}));
+
+const { Session } = require('../models');
+const { signToken } = require('../utils/auth');
+const socketAuth = require('../utils/socketAuth');
+
+const user = { _id: '5f0000000000000000000001', username: 'alice', email: 'alice@test.com' };
+const sessionId = '5f0000000000000000000002';
+
+let revoked;
+
+beforeEach(() => {
+  revoked = false;
+  jest.spyOn(Session, 'exists').mockImplementation(async () => !revoked);
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const connect = async authorization => {
+  const ctx = { connectionParams: { authorization }, extra: { socket: { close: jest.fn() } } };
+  const permitted = await socketAuth.onConnect(ctx);
+  return { ctx, permitted };
+};
+
+test('a socket with a bad token is refused, and one without a token is anonymous', async () => {
+  expect((await connect('Bearer not-a-token')).permitted).toBe(false);
+
+  const { ctx, permitted } = await connect('');
+  expect(permitted).toBe(true);
+  expect(ctx.extra.user).toBeNull();
+});
+
+test('the socket is closed when its token expires', async () => {
+  const { ctx, permitted } = await connect(`Bearer ${signToken(user, sessionId)}`);
+  expect(permitted).toBe(true);
+  expect(ctx.extra.user.username).toBe('alice');
+
+  jest.advanceTimersByTime(14 * 60 * 1000);
+  expect(ctx.extra.socket.close).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(60 * 1000);
+  expect(ctx.extra.socket.close).toHaveBeenCalledWith(socketAuth.CLOSE_FORBIDDEN, 'Your token has expired');
+
+  socketAuth.onClose(ctx);
+});
+
+test('the socket is closed once its session is revoked', async () => {
+  const { ctx } = await connect(`Bearer ${signToken(user, sessionId)}`);
+  const onSubscribe = socketAuth.checkSessionOnSubscribe(() => undefined);
+
+  expect(await onSubscribe(ctx, {})).toBeUndefined();
+  await socketAuth.onNext(ctx);
+  expect(ctx.extra.socket.close).not.toHaveBeenCalled();
+
+  revoked = true;
+
+  await socketAuth.onNext(ctx);
+  expect(ctx.extra.socket.close).toHaveBeenCalledWith(socketAuth.CLOSE_FORBIDDEN, 'Your session has ended');
+
+  const errors = await onSubscribe(ctx, {});
+  expect(errors).toHaveLength(1);
+  expect(errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+  socketAuth.onClose(ctx);
+});
@@ -0,0 +1,359 @@
+// Friends only and private thoughts can't be read by anyone they weren't meant for,
+// through any of the queries or subscriptions that return thoughts.
+// alice posts one thought of each visibility, with bob as her friend. carol has never
+// been her friend, and dave was her friend until she unfriended him.
+
+// bcrypt is only used to hash passwords, which these tests never do
+jest.mock('bcrypt', () => ({}));
+
+const { User, Thought } = require('../models');
+const resolvers = require('../schemas/resolvers');
+const { createLoaders } = require('../utils/loaders');
+const { pubsub, THOUGHT_ADDED, REACTION_ADDED } = require('../utils/pubsub');
+const { fakeDb } = require('./fakeDb');
+
+const collections = {};
+let restoreDb;
+let alice, bob, carol, dave;
+let thoughts;
+
+const makeFriends = (user, friend) => {
+  user.friends.push(friend._id);
+  friend.friends.push(user._id);
+};
+
+const unfriend = (user, friend) => {
+  user.friends.pull(friend._id);
+  friend.friends.pull(user._id);
+};
+
+// a thought by alice, posted minutesAgo. Every one of them has the word "deep" and the
+// #deep tag so they all match the same search and tag.
+const aliceThought = (visibility, minutesAgo) =>
+  new Thought({
+    thoughtText: `a ${visibility} thought about something deep`,
+    username: 'alice',
+    tags: ['deep'],
+    visibility,
+    createdAt: new Date(Date.now() - minutesAgo * 60000)
+  });
+
+// the context of a request from user, or from a logged out visitor without one.
+// The same as the one authMiddleware builds (see server.js), with the JWT's fields.
+const contextFor = user => ({
+  user: user && { _id: user._id.toString(), username: user.username, email: user.email },
+  loaders: createLoaders()
+});
+
+// the same for a subscription, see the WebSocket server in server.js
+const subscriptionContextFor = user => ({
+  ...contextFor(user),
+  loaders: createLoaders({ cache: false }),
+  subscription: true
+});
+
+const texts = list => list.map(thought => thought.thoughtText);
+const nodes = connection => connection.edges.map(edge => edge.node);
+
+beforeAll(() => {
+  restoreDb = fakeDb({ User, Thought }, collections);
+});
+
+afterAll(() => restoreDb());
+
+beforeEach(() => {
+  [alice, bob, carol, dave] = ['alice', 'bob', 'carol', 'dave'].map(
+    username => new User({ username, email: `${username}@test.com`, password: 'password' })
+  );
+  makeFriends(alice, bob);
+  makeFriends(alice, dave);
+
+  thoughts = {
+    public: aliceThought('public', 3),
+    friends: aliceThought('friends', 2),
+    private: aliceThought('private', 1)
+  };
+
+  // bob can react to the friends only thought, and his reaction has the search word too
+  thoughts.friends.reactions.push({ reactionBody: 'a deep reaction', username: 'bob' });
+
+  alice.thoughts = Object.values(thoughts).map(thought => thought._id);
+  collections.User = [alice, bob, carol, dave];
+  collections.Thought = Object.values(thoughts);
+});
+
+const PUBLIC_ONLY = ['a public thought about something deep'];
+
+const viewers = [
+  ['a logged out visitor', () => null],
+  ["a user who isn't her friend", () => carol],
+  [
+    'an ex-friend',
+    () => {
+      unfriend(alice, dave);
+      return dave;
+    }
+  ]
+];
+
+describe.each(viewers)("alice's restricted thoughts, read by %s", (name, getViewer) => {
+  let context;
+
+  beforeEach(() => {
+    context = contextFor(getViewer());
+  });
+
+  test('are left out of thoughts', async () => {
+    expect(texts(await resolvers.Query.thoughts(null, {}, context))).toEqual(PUBLIC_ONLY);
+    expect(texts(await resolvers.Query.thoughts(null, { username: 'alice' }, context))).toEqual(PUBLIC_ONLY);
+  });
+
+  test('are left out of thoughtsConnection', async () => {
+    const connection = await resolvers.Query.thoughtsConnection(null, { username: 'alice' }, context);
+    expect(texts(nodes(connection))).toEqual(PUBLIC_ONLY);
+  });
+
+  test('are left out of feed', async () => {
+    if (!context.user) {
+      await expect(resolvers.Query.feed(null, {}, context)).rejects.toThrow('Not logged in');
+      return;
+    }
+
+    const connection = await resolvers.Query.feed(null, {}, context);
+    expect(nodes(connection).filter(thought => thought.visibility !== 'public')).toEqual([]);
+  });
+
+  test('are left out of thoughtsByTag', async () => {
+    const connection = await resolvers.Query.thoughtsByTag(null, { tag: '#deep' }, context);
+    expect(texts(nodes(connection))).toEqual(PUBLIC_ONLY);
+  });
+
+  test('are left out of search, along with their reactions', async () => {
+    const results = await resolvers.Query.search(null, { query: 'deep' }, context);
+
+    expect(results.map(result => result.type)).toEqual(['THOUGHT']);
+    expect(texts(results.map(result => result.thought))).toEqual(PUBLIC_ONLY);
+  });
+
+  test("can't be opened with thought", async () => {
+    expect(await resolvers.Query.thought(null, { _id: thoughts.friends._id }, context)).toBeNull();
+    expect(await resolvers.Query.thought(null, { _id: thoughts.private._id }, context)).toBeNull();
+    expect(await resolvers.Query.thought(null, { _id: thoughts.public._id }, context)).toBe(thoughts.public);
+  });
+
+  test("are left out of alice's thoughts on her profile", async () => {
+    const user = await resolvers.Query.user(null, { username: 'alice' }, context);
+    expect(texts(await resolvers.User.thoughts(user, {}, context))).toEqual(PUBLIC_ONLY);
+  });
+});
+
+// the restricted thoughts are still there for the users who are allowed to read them,
+// so the tests above aren't passing just because nothing can be read
+describe("alice's restricted thoughts, read by the users allowed to", () => {
+  test('show up for alice and her friends', async () => {
+    const aliceSees = await resolvers.Query.thoughts(null, {}, contextFor(alice));
+    const bobSees = await resolvers.Query.thoughts(null, {}, contextFor(bob));
+
+    expect(aliceSees).toEqual([thoughts.private, thoughts.friends, thoughts.public]);
+    expect(bobSees).toEqual([thoughts.friends, thoughts.public]);
+  });
+
+  test('show up on her profile for her friends', async () => {
+    const context = contextFor(bob);
+    const user = await resolvers.Query.user(null, { username: 'alice' }, context);
+
+    expect(await resolvers.User.thoughts(user, {}, context)).toEqual([thoughts.public, thoughts.friends]);
+  });
+
+  test("can't be read once a friend is unfriended", async () => {
+    expect(await resolvers.Query.thought(null, { _id: thoughts.friends._id }, contextFor(dave))).toBe(
+      thoughts.friends
+    );
+
+    unfriend(alice, dave);
+
+    expect(await resolvers.Query.thought(null, { _id: thoughts.friends._id }, contextFor(dave))).toBeNull();
+  });
+});
+
+// Each subscription is sent a restricted thought and then the public one. The filter
+// skips anything the subscriber can't read, so the first thing they receive should be
+// the public thought.
+describe('subscriptions', () => {
+  const firstReceived = async (subscription, args, context, publish) => {
+    const iterator = await subscription.subscribe(null, args, context);
+    const received = iterator.next();
+
+    await publish();
+    const { value } = await received;
+    await iterator.return();
+
+    return value;
+  };
+
+  const publishThoughts = (...list) => async () => {
+    for (const thought of list) {
+      await pubsub.publish(THOUGHT_ADDED, { thoughtAdded: thought });
+    }
+  };
+
+  // reactionAdded is published with the thought the reaction was left on
+  const publishReactions = (...list) => async () => {
+    for (const thought of list) {
+      await pubsub.publish(REACTION_ADDED, { reactionAdded: thought });
+    }
+  };
+
+  describe.each(viewers)('sent to %s', (name, getViewer) => {
+    let context;
+
+    beforeEach(() => {
+      context = subscriptionContextFor(getViewer());
+    });
+
+    test.each(['friends', 'private'])("thoughtAdded skips alice's %s thoughts", async visibility => {
+      const value = await firstReceived(
+        resolvers.Subscription.thoughtAdded,
+        {},
+        context,
+        publishThoughts(thoughts[visibility], thoughts.public)
+      );
+
+      expect(value.thoughtAdded).toBe(thoughts.public);
+    });
+
+    test.each(['friends', 'private'])(
+      "reactionAdded skips reactions on alice's %s thoughts",
+      async visibility => {
+        const restricted = thoughts[visibility];
+
+        // make the public thought look like the same one to the thoughtId filter, so only
+        // the visibility check decides which gets through
+        const readable = new Thought({ ...thoughts.public.toObject(), _id: restricted._id });
+
+        const value = await firstReceived(
+          resolvers.Subscription.reactionAdded,
+          { thoughtId: restricted._id.toString() },
+          context,
+          publishReactions(restricted, readable)
+        );
+
+        expect(value.reactionAdded).toBe(readable);
+      }
+    );
+  });
+
+  test('stop sending friends only thoughts to a friend as soon as they are unfriended', async () => {
+    const context = subscriptionContextFor(dave);
+    const iterator = await resolvers.Subscription.thoughtAdded.subscribe(null, {}, context);
+
+    const beforeUnfriending = iterator.next();
+    await publishThoughts(thoughts.friends)();
+    expect((await beforeUnfriending).value.thoughtAdded).toBe(thoughts.friends);
+
+    unfriend(alice, dave);
+
+    const afterUnfriending = iterator.next();
+    await publishThoughts(thoughts.friends, thoughts.public)();
+    expect((await afterUnfriending).value.thoughtAdded).toBe(thoughts.public);
+
+    await iterator.return();
+  });
+});
+
+// Blocking works the same way as visibility: a user doesn't see the thoughts of someone
+// they've blocked or muted, or who has blocked them, even public ones.
+describe.each([
+  ['alice blocked', () => alice.blocked.push(carol._id)],
+  ['carol blocked', () => carol.blocked.push(alice._id)],
+  ['carol muted', () => carol.muted.push(alice._id)]
+])("alice's thoughts, after %s the other", (name, block) => {
+  beforeEach(() => block());
+
+  test('are left out of reactionAdded', async () => {
+    const context = subscriptionContextFor(carol);
+    const iterator = await resolvers.Subscription.reactionAdded.subscribe(
+      null,
+      { thoughtId: thoughts.public._id.toString() },
+      context
+    );
+
+    // the same thought by bob, who carol can still see
+    const bobs = new Thought({ ...thoughts.public.toObject(), username: 'bob' });
+
+    const received = iterator.next();
+    await pubsub.publish(REACTION_ADDED, { reactionAdded: thoughts.public });
+    await pubsub.publish(REACTION_ADDED, { reactionAdded: bobs });
+    expect((await received).value.reactionAdded).toBe(bobs);
+
+    await iterator.return();
+  });
+
+  test("can't be liked or reported, as if they didn't exist", async () => {
+    const context = contextFor(carol);
+    const thoughtId = thoughts.public._id;
+
+    await expect(resolvers.Mutation.likeThought(null, { thoughtId }, context)).rejects.toThrow(
+      'No thought found with this id!'
+    );
+    await expect(
+      resolvers.Mutation.reportThought(null, { thoughtId, reason: 'SPAM' }, context)
+    ).rejects.toThrow('No thought found with this id!');
+  });
+});
+
+// A thought hidden by a moderator can only be seen by its author and moderators, whichever
+// way someone tries to get at it
+describe("alice's thought hidden by a moderator", () => {
+  let moderator;
+
+  beforeEach(() => {
+    thoughts.public.hidden = true;
+    moderator = new User({ username: 'mod', email: 'mod@test.com', password: 'password', role: 'moderator' });
+    collections.User.push(moderator);
+  });
+
+  test('can only be opened by alice and moderators', async () => {
+    const open = user => resolvers.Query.thought(null, { _id: thoughts.public._id }, contextFor(user));
+
+    expect(await open(null)).toBeNull();
+    expect(await open(carol)).toBeNull();
+    expect(await open(alice)).toBe(thoughts.public);
+    expect(await open(moderator)).toBe(thoughts.public);
+  });
+
+  test.each([
+    ['a logged out visitor', () => null],
+    ['another user', () => carol]
+  ])('is left out of reactionAdded for %s', async (name, getViewer) => {
+    const iterator = await resolvers.Subscription.reactionAdded.subscribe(
+      null,
+      { thoughtId: thoughts.public._id.toString() },
+      subscriptionContextFor(getViewer())
+    );
+
+    // the same thought before it was hidden
+    const shown = new Thought({ ...thoughts.public.toObject(), hidden: false });
+
+    const received = iterator.next();
+    await pubsub.publish(REACTION_ADDED, { reactionAdded: thoughts.public });
+    await pubsub.publish(REACTION_ADDED, { reactionAdded: shown });
+    expect((await received).value.reactionAdded).toBe(shown);
+
+    await iterator.return();
+  });
+
+  test("can't be liked, reacted to or reported", async () => {
+    const context = contextFor(carol);
+    const thoughtId = thoughts.public._id;
+    const notFound = 'No thought found with this id!';
+
+    await expect(resolvers.Mutation.likeThought(null, { thoughtId }, context)).rejects.toThrow(notFound);
+    await expect(
+      resolvers.Mutation.addReaction(null, { thoughtId, reactionBody: 'hi' }, context)
+    ).rejects.toThrow(notFound);
+    await expect(
+      resolvers.Mutation.reportThought(null, { thoughtId, reason: 'spam' }, context)
+    ).rejects.toThrow(notFound);
+  });
+});
@@ -1,6 +1,7 @@
 // see google docs, MERN Stack Notes, Authorize Users with JWTs
 
 const jwt = require('jsonwebtoken');
+const { Session } = require('../models');
 
 // Optionally, tokens can be given an expiration date and a secret 
 // to sign the token with. Note that the secret has nothing to do 
@@ -8,19 +9,84 @@ const jwt = require('jsonwebtoken');
 // whether it recognizes this token.
 // If your JWT secret is ever compromised, you'll need to generate 
 // a new one, immediately invalidating all current tokens. Because 
-// the secret is so important, you should store it somewhere other 
-// than in a JavaScript file—like an environment variable.
-const secret = 'mysecretsshhhhh';
-const expiration = '2h';
+// the secret is so important, it's stored in an environment variable
+// or a config file, not in a JavaScript file. See config/auth.js, which
+// also explains how to rotate secrets without logging everyone out.
+// JWTs are short lived now that users have refresh tokens to get new ones without
+// logging in again (see utils/session.js). If a JWT is stolen, it stops working soon.
+const { getAuthConfig } = require('../config/auth');
+
+// decodes a JWT and returns the user data stored in it, or null if the token
+// is missing, expired or wasn't signed with our secret, or the session it was made
+// for has been revoked by logging out. Used for both regular HTTP requests
+// (authMiddleware below) and WebSocket connections (see utils/socketAuth.js), so both
+// check tokens exactly the same way.
+const getUserFromToken = async token => {
+  if (!token) {
+    return null;
+  }
+
+  // separate "Bearer" from "<tokenvalue>"
+  token = token
+    .split(' ')
+    .pop()
+    .trim();
+
+  // This is where the secret becomes important. If the secret on jwt.verify() 
+  // doesn't match the secret that was used with jwt.sign(), the object won't be 
+  // decoded. When the JWT verification fails, an error is thrown.
+  // We don't want an error thrown on every request, though. Users with an invalid 
+  // token should still be able to request and see all thoughts. Thus, we wrapped 
+  // the verify() method in a try...catch statement to mute the error. We'll manually 
+  // throw an authentication error on the resolver side when the need arises.
+  // Each token says which key signed it with the kid in its header, so
+  // look that key up first. Tokens signed with a key we don't have anymore,
+  // or without a kid at all, are treated like any other invalid token.
+  const { keys, expiration, issuer } = getAuthConfig();
+  let data;
+
+  try {
+    const { header } = jwt.decode(token, { complete: true }) || {};
+    const key = header && keys.find(({ kid }) => kid === header.kid);
+
+    if (!key) {
+      throw new Error('Unknown kid');
+    }
+
+    ({ data } = jwt.verify(token, key.secret, {
+      algorithms: ['HS256'],
+      issuer,
+      maxAge: expiration
+    }));
+  } catch {
+    console.log('Invalid token');
+    return null;
+  }
+
+  // a valid JWT still doesn't count if its session was revoked
+  const session = data.sessionId && (await Session.exists({ _id: data.sessionId, revokedAt: null }));
+
+  return session ? data : null;
+};
 
 module.exports = {
+  getUserFromToken,
+
     // The signToken() function expects a user object and will 
     // add that user's username, email, and _id properties to the token
     // to be decoded later.
-  signToken: function({ username, email, _id }) {
-    const payload = { username, email, _id };
+    // The id of the session the token belongs to is added too, so the
+    // token stops working when that session is revoked.
+  signToken: function({ username, email, _id }, sessionId) {
+    const payload = { username, email, _id, sessionId };
 
-    return jwt.sign({ data: payload }, secret, { expiresIn: expiration });
+    const { signingKey, expiration, issuer } = getAuthConfig();
+
+    return jwt.sign({ data: payload }, signingKey.secret, {
+      expiresIn: expiration,
+      issuer,
+      keyid: signingKey.kid
+    });
   },
 
   // see google docs, MERN Stack Notes, Implement Auth JWT Middleware to Populate Me Query
@@ -28,36 +94,20 @@ module.exports = {
   // checks to see if there is a valid JWT sent with each request. If there is a valid
   // token, create a user property that holds the user's info.
   // tokens are only given by loogging in or signing up.
-  authMiddleware: function({ req }) {
+  // It's async now because it checks the session in the database, and Apollo
+  // waits for it before running the resolvers.
+  // Express also puts the response object on req.res, so resolvers can use
+  // context.res to set and clear the refresh token cookie.
+  authMiddleware: async function({ req }) {
     // allows token to be sent via req.body, req.query, or headers
-    let token = req.body.token || req.query.token || req.headers.authorization;
+    const token = req.body.token || req.query.token || req.headers.authorization;
   
-    // separate "Bearer" from "<tokenvalue>"
-    if (req.headers.authorization) {
-      token = token
-        .split(' ')
-        .pop()
-        .trim();
-    }
-  
-    // if no token, return request object as is
-    if (!token) {
-      return req;
-    }
-  
-    // This is where the secret becomes important. If the secret on jwt.verify() 
-    // doesn't match the secret that was used with jwt.sign(), the object won't be 
-    // decoded. When the JWT verification fails, an error is thrown.
-    // We don't want an error thrown on every request, though. Users with an invalid 
-    // token should still be able to request and see all thoughts. Thus, we wrapped 
-    // the verify() method in a try...catch statement to mute the error. We'll manually 
-    // throw an authentication error on the resolver side when the need arises.
-    try {
-      // decode JWT and attach the returned user data to request object.
-      const { data } = jwt.verify(token, secret, { maxAge: expiration });
-      req.user = data;
-    } catch {
-      console.log('Invalid token');
+    // decode JWT and attach the returned user data to request object.
+    // If there's no token, or it isn't valid, req.user stays undefined.
+    const user = await getUserFromToken(token);
+
+    if (user) {
+      req.user = user;
     }
   
     // return updated request object
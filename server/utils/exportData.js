@@ -0,0 +1,96 @@
+// builds the archive of a user's personal data for the exportMyData query, so users
+// can take everything they've posted with them. It's plain JSON, so it can be read
+// by a person or imported somewhere else.
+const { User, Thought, Conversation, Message } = require('../models');
+const { fileUrl } = require('./storage');
+
+// bump this if the shape of the archive ever changes, so anything reading an old
+// archive can tell which version it has
+const EXPORT_VERSION = 1;
+
+// lean() returns plain objects without the getters from the models, so the dates in
+// the archive stay full ISO dates instead of the formatted strings the front end shows.
+const buildExport = async userId => {
+  const user = await User.findById(userId)
+    .select('-__v -password')
+    .populate('friends', 'username')
+    .lean();
+
+  if (!user) {
+    return null;
+  }
+
+  const thoughts = await Thought.find({ username: user.username })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // the user's reactions are stored inside other people's thoughts (and their own)
+  const reactedTo = await Thought.find({ 'reactions.username': user.username })
+    .select('reactions username')
+    .lean();
+
+  const reactions = reactedTo.flatMap(thought =>
+    thought.reactions
+      .filter(reaction => reaction.username === user.username)
+      .map(reaction => ({
+        _id: reaction._id,
+        thoughtId: thought._id,
+        thoughtAuthor: thought.username,
+        parentReactionId: reaction.parentReactionId,
+        reactionBody: reaction.reactionBody,
+        likeCount: (reaction.likes || []).length,
+        createdAt: reaction.createdAt
+      }))
+  );
+
+  // the messages the user sent, and who to. The other users' messages are theirs, so
+  // they aren't included.
+  const conversations = await Conversation.find({ participants: user._id })
+    .populate('participants', 'username')
+    .lean();
+  const sent = await Message.find({ sender: user._id })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const messages = sent.map(message => {
+    const conversation = conversations.find(({ _id }) => _id.equals(message.conversation));
+    const to = conversation && conversation.participants.find(({ _id }) => !_id.equals(user._id));
+
+    return {
+      _id: message._id,
+      to: to ? to.username : null,
+      body: message.body,
+      createdAt: message.createdAt
+    };
+  });
+
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      displayName: user.displayName,
+      bio: user.bio,
+      location: user.location,
+      website: user.website,
+      avatarUrl: fileUrl(user.avatar)
+    },
+    thoughts: thoughts.map(thought => ({
+      _id: thought._id,
+      thoughtText: thought.thoughtText,
+      tags: thought.tags,
+      images: (thought.images || []).map(image => fileUrl(image.key)),
+      likeCount: (thought.likes || []).length,
+      reactionCount: thought.reactions.length,
+      createdAt: thought.createdAt
+    })),
+    reactions,
+    messages,
+    friends: user.friends.map(friend => friend.username)
+  };
+};
+
+module.exports = { buildExport };
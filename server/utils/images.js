@@ -0,0 +1,159 @@
+// reads images uploaded through GraphQL and resizes them before they're stored.
+// Avatars and the images attached to thoughts are both sent as real files in a multipart
+// request (see graphqlUploadExpress in server.js), so big images don't have to fit in a
+// JSON body.
+// sharp does the resizing. It also re-encodes every image, which throws away anything
+// hidden in the original file, like the EXIF data with the GPS location a phone saves
+// in its photos.
+const sharp = require('sharp');
+const { UserInputError } = require('apollo-server-express');
+const { makeKey, saveFile, removeFile } = require('./storage');
+
+// the largest image accepted, in bytes, before it's resized
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// the image types we accept, the way sharp names the format it finds in a file's bytes
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// avatars are always stored as squares this many pixels wide
+const AVATAR_SIZE = 256;
+
+// the most images a thought can have
+const MAX_ATTACHMENTS = 4;
+
+// attached images are shrunk to fit inside a square this many pixels wide, and
+// their thumbnails are squares this many pixels wide
+const MAX_IMAGE_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+
+// The type the browser says a file is can't be trusted, since it only goes by the
+// file's name and anyone can send whatever they want. sharp looks at the file's actual
+// bytes instead, which is called MIME sniffing, and throws if they aren't an image at all.
+const checkFormat = async buffer => {
+  let metadata;
+
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new UserInputError('That image could not be read!');
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw new UserInputError('Images must be a JPEG, PNG, WebP or GIF!');
+  }
+};
+
+// crops the image to a square around its center and shrinks it to AVATAR_SIZE.
+// rotate() with nothing passed in turns phone photos the right way up first.
+const resizeAvatar = async buffer => {
+  await checkFormat(buffer);
+
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+      .webp()
+      .toBuffer();
+  } catch (err) {
+    throw new UserInputError('That image could not be read!');
+  }
+};
+
+// reads an uploaded file into a buffer. graphqlUploadExpress stops the file with an
+// error as soon as it goes over MAX_IMAGE_SIZE, so a huge file is never read into memory.
+const readUpload = async upload => {
+  const { createReadStream } = await upload;
+  const chunks = [];
+
+  try {
+    for await (const chunk of createReadStream()) {
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    if (err.status === 413) {
+      throw new UserInputError(`Images can't be bigger than ${MAX_IMAGE_SIZE / 1024 / 1024}MB!`);
+    }
+    throw err;
+  }
+
+  return Buffer.concat(chunks);
+};
+
+// the full size copy of an attached image and its thumbnail. Big images are shrunk
+// to fit MAX_IMAGE_DIMENSION, but small ones are never stretched. Animated GIFs
+// only keep their first frame.
+const resizeAttachment = async buffer => {
+  await checkFormat(buffer);
+
+  try {
+    const image = sharp(buffer).rotate();
+
+    const { data: full, info } = await image
+      .clone()
+      .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await image
+      .clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .webp()
+      .toBuffer();
+
+    return { full, thumbnail, width: info.width, height: info.height };
+  } catch (err) {
+    throw new UserInputError('That image could not be read!');
+  }
+};
+
+// reads, checks and resizes every uploaded image, then saves them all with the storage
+// driver. Returns what's saved on the thought for each one (see models/Image.js).
+// Every image is checked before any are saved, so one bad image doesn't leave the
+// others behind in storage.
+const storeAttachments = async (uploads = []) => {
+  if (uploads.length > MAX_ATTACHMENTS) {
+    throw new UserInputError(`A thought can only have ${MAX_ATTACHMENTS} images!`);
+  }
+
+  const resized = [];
+
+  for (const upload of uploads) {
+    resized.push(await resizeAttachment(await readUpload(upload)));
+  }
+
+  const images = resized.map(({ width, height }) => ({
+    key: makeKey('images', 'webp'),
+    thumbnailKey: makeKey('thumbnails', 'webp'),
+    width,
+    height
+  }));
+
+  try {
+    for (let i = 0; i < images.length; i++) {
+      await saveFile(images[i].key, resized[i].full, 'image/webp');
+      await saveFile(images[i].thumbnailKey, resized[i].thumbnail, 'image/webp');
+    }
+  } catch (err) {
+    await removeAttachments(images);
+    throw err;
+  }
+
+  return images;
+};
+
+// deletes the files of a thought's images, when the thought is deleted
+const removeAttachments = async (images = []) => {
+  for (const image of images) {
+    await removeFile(image.key);
+    await removeFile(image.thumbnailKey);
+  }
+};
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  MAX_ATTACHMENTS,
+  readUpload,
+  resizeAvatar,
+  storeAttachments,
+  removeAttachments
+};
@@ -0,0 +1,50 @@
+// DataLoaders for the documents that fields like User.friends, User.thoughts and
+// Thought.author look up. Those field resolvers run once for every user or thought in
+// the results, so a list of 20 thoughts would otherwise look up their authors with 20
+// separate queries (the "N+1 problem"). A DataLoader waits until every resolver running
+// at the same time has asked for what it needs, then loads all of it with one $in query.
+// It also remembers what it loaded, so the same user is only looked up once per request.
+// New loaders are made for every request in the Apollo context (see server.js), so one
+// user's request never sees what was loaded for another's.
+const DataLoader = require('dataloader');
+const { User, Thought } = require('../models');
+
+// a batch function has to return one result for each key, in the same order as the
+// keys, so the documents found are put back in order. Keys without a document get null.
+const byKey = (docs, keys, field) => {
+  const found = new Map(docs.map(doc => [String(doc[field]), doc]));
+  return keys.map(key => found.get(String(key)) || null);
+};
+
+// ids can be ObjectIds or strings, and two ObjectIds for the same document are different
+// objects, so both are compared as strings
+const options = cache => ({ cache, cacheKeyFn: String });
+
+// cache can be turned off for loaders that live longer than one request, like the ones
+// a subscription keeps for as long as it's open
+const createLoaders = ({ cache = true } = {}) => ({
+  userById: new DataLoader(async ids => {
+    const users = await User.find({ _id: { $in: ids } }).select('-__v -password');
+    return byKey(users, ids, '_id');
+  }, options(cache)),
+
+  // thoughts and reactions only store their author's username
+  userByUsername: new DataLoader(async usernames => {
+    const users = await User.find({ username: { $in: usernames } }).select('-__v -password');
+    return byKey(users, usernames, 'username');
+  }, options(cache)),
+
+  thoughtById: new DataLoader(async ids => {
+    const thoughts = await Thought.find({ _id: { $in: ids } });
+    return byKey(thoughts, ids, '_id');
+  }, options(cache))
+});
+
+// loads a list of documents by id, leaving out the ones that have been deleted since
+// their ids were saved
+const loadAll = async (loader, ids = []) => {
+  const docs = await loader.loadMany(ids);
+  return docs.filter(doc => doc && !(doc instanceof Error));
+};
+
+module.exports = { createLoaders, loadAll };
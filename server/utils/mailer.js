@@ -0,0 +1,71 @@
+// sends emails, like password reset links and email verification links.
+// How they're actually sent is up to the transport. A transport is just an object with
+// an async send({ to, subject, text }) method, so any email service can be plugged in
+// with setTransport() when the server starts, for example one built on nodemailer.
+// Two transports come built in for local development, picked with the MAIL_TRANSPORT
+// environment variable:
+//   console  prints each email in the server's terminal (the default)
+//   file     saves each email as a text file in the folder in MAIL_DIR (server/mail if not set)
+const fs = require('fs');
+const path = require('path');
+
+// the address the links in emails point to, which is the React app
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const transports = {
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(`\n----- Email to ${to} -----\nSubject: ${subject}\n\n${text}\n-----\n`);
+    }
+  },
+
+  file: {
+    send: async ({ to, subject, text }) => {
+      const dir = process.env.MAIL_DIR || path.join(__dirname, '../mail');
+      const file = path.join(dir, `${Date.now()}-${to.replace(/[^\w.@-]/g, '_')}.txt`);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+  }
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT] || transports.console;
+
+// swap in a different transport, like a real email service in production
+const setTransport = newTransport => {
+  transport = newTransport;
+};
+
+// Sending an email shouldn't make the request that caused it fail, since the user can
+// always ask for another one. So errors are logged instead of thrown.
+const sendMail = async message => {
+  try {
+    await transport.send(message);
+  } catch (err) {
+    console.error(`Could not send email to ${message.to}:`, err);
+  }
+};
+
+const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: 'Reset your Deep Thoughts password',
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your account. If it was you, open this link ` +
+      `within the next hour to choose a new password:\n\n${APP_URL}/reset-password/${token}\n\n` +
+      `If it wasn't you, you can ignore this email and your password won't change.`
+  });
+
+const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: 'Verify your Deep Thoughts email address',
+    text:
+      `Hi ${user.username},\n\n` +
+      `Thanks for signing up! Open this link to verify your email address:\n\n` +
+      `${APP_URL}/verify/${token}`
+  });
+
+module.exports = { setTransport, sendMail, sendPasswordResetEmail, sendVerificationEmail };
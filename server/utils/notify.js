@@ -0,0 +1,42 @@
+// creates notifications for users when someone else does something involving them.
+// Every resolver that notifies users goes through here, so there's one place that
+// decides who gets notified.
+const { User, Notification } = require('../models');
+const { pubsub, NOTIFICATION_RECEIVED } = require('./pubsub');
+
+// recipients is a list of usernames. The user who caused the notification (the actor)
+// is never notified about their own actions, like reacting to their own thought, and
+// neither is anyone who has blocked or muted them.
+// Returns the notifications that were created.
+const notify = async ({ recipients, type, actor, thoughtId }) => {
+  const usernames = recipients.filter(username => username !== actor.username);
+
+  if (!usernames.length) {
+    return [];
+  }
+
+  // users who have blocked or muted the actor don't hear from them
+  const users = await User.find({
+    username: { $in: usernames },
+    blocked: { $ne: actor._id },
+    muted: { $ne: actor._id }
+  }).select('_id');
+
+  const notifications = await Notification.insertMany(
+    users.map(user => ({
+      recipient: user._id,
+      type,
+      actorUsername: actor.username,
+      thought: thoughtId
+    }))
+  );
+
+  // push each notification to its recipient if they're subscribed to notificationReceived
+  notifications.forEach(notification =>
+    pubsub.publish(NOTIFICATION_RECEIVED, { notificationReceived: notification })
+  );
+
+  return notifications;
+};
+
+module.exports = { notify };
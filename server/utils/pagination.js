@@ -0,0 +1,77 @@
+// cursor based pagination for lists of documents sorted newest first.
+// Instead of asking for "page 3", the client asks for the first N documents
+// after a cursor, which is an opaque string that points at the last document it
+// already has. Unlike skipping a number of documents, this keeps working when new
+// documents are added to the top of the list while someone is scrolling through it.
+const mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-express');
+
+// how many documents are returned when the client doesn't ask for a number,
+// and the most it is allowed to ask for at once.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// a cursor is the document's createdAt timestamp and _id, base64 encoded so
+// clients treat it as a value to hand back rather than something to build themselves.
+// The _id breaks ties between documents created in the same millisecond.
+// getters: false skips the dateFormat() getter on createdAt so we get the raw Date.
+const encodeCursor = doc => {
+  const createdAt = doc.get('createdAt', null, { getters: false });
+
+  return Buffer.from(`${createdAt.getTime()}:${doc._id}`).toString('base64');
+};
+
+// a cursor that doesn't hold a time and a real _id is refused here, rather than
+// failing with a CastError when the query runs
+const decodeCursor = cursor => {
+  const [time, _id] = Buffer.from(cursor, 'base64').toString('ascii').split(':');
+
+  if (!time || !_id || isNaN(time) || !mongoose.isValidObjectId(_id)) {
+    throw new UserInputError('Invalid cursor!');
+  }
+
+  return { createdAt: new Date(Number(time)), _id };
+};
+
+// finds one page of documents matching params, newest first, and returns it in the
+// shape of a Relay connection: { edges: [{ cursor, node }], pageInfo: { endCursor, hasNextPage } }
+const paginate = async (Model, params, { first, after } = {}) => {
+  const limit = Math.min(Math.max(first || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let filter = params;
+
+  // only documents older than the cursor, or created at the same time with a smaller _id
+  if (after) {
+    const cursor = decodeCursor(after);
+
+    filter = {
+      $and: [
+        params,
+        {
+          $or: [
+            { createdAt: { $lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  // ask for one more document than we need. If it comes back, there's another page.
+  const docs = await Model.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasNextPage = docs.length > limit;
+  const edges = docs.slice(0, limit).map(node => ({ cursor: encodeCursor(node), node }));
+
+  return {
+    edges,
+    pageInfo: {
+      endCursor: edges.length ? edges[edges.length - 1].cursor : after || null,
+      hasNextPage
+    }
+  };
+};
+
+module.exports = { paginate, MAX_PAGE_SIZE };
@@ -0,0 +1,33 @@
+// finds #tags and @mentions in the text of thoughts and reactions.
+// A tag or mention has to start the text or come after a space, so email
+// addresses and things like "c#" aren't picked up.
+// Tags are letters, numbers and underscores. Mentions can also have dots in the
+// middle, since usernames like "Jane.Doe" are allowed, but a dot at the end is
+// treated as the end of the sentence.
+const TAG_REGEX = /(^|\s)#(\w+)/g;
+const MENTION_REGEX = /(^|\s)@(\w+(?:\.\w+)*)/g;
+
+// returns the second capture group of every match, without duplicates
+const findAll = (regex, text) => {
+  const found = new Set();
+  let match;
+
+  // regexes with the g flag remember where they stopped, so start from the beginning
+  regex.lastIndex = 0;
+
+  while ((match = regex.exec(text)) !== null) {
+    found.add(match[2]);
+  }
+
+  return [...found];
+};
+
+// tags are stored in lowercase so #DeepThoughts and #deepthoughts are the same tag
+const extractTags = text => [
+  ...new Set(findAll(TAG_REGEX, text || '').map(tag => tag.toLowerCase()))
+];
+
+// mentions keep their case, since usernames are case sensitive
+const extractMentions = text => findAll(MENTION_REGEX, text || '');
+
+module.exports = { extractTags, extractMentions };
@@ -0,0 +1,19 @@
+// see google docs, MERN Stack Notes, GraphQL Subscriptions
+// PubSub (publish/subscribe) is how subscriptions find out something happened.
+// Resolvers publish an event with pubsub.publish(EVENT, payload), and every client
+// subscribed to that event gets the payload pushed to them over their WebSocket.
+// This PubSub keeps everything in memory, so it only works with a single server.
+// If the app is ever run on more than one server, swap it for something like
+// graphql-redis-subscriptions' RedisPubSub, which has the same publish and
+// asyncIterator methods, and nothing else needs to change.
+const { PubSub } = require('graphql-subscriptions');
+
+const pubsub = new PubSub();
+
+// the names of the events we publish. Kept here so resolvers and subscriptions
+// can't get out of sync because of a typo.
+const THOUGHT_ADDED = 'THOUGHT_ADDED';
+const REACTION_ADDED = 'REACTION_ADDED';
+const NOTIFICATION_RECEIVED = 'NOTIFICATION_RECEIVED';
+
+module.exports = { pubsub, THOUGHT_ADDED, REACTION_ADDED, NOTIFICATION_RECEIVED };
@@ -0,0 +1,154 @@
+// limits how big a single GraphQL query can be. Types point at each other, like a
+// User's friends being Users with friends of their own, so without limits one query
+// like friends { friends { friends { ... } } } could make the server look up thousands
+// of documents. Two checks run on every query before it's executed:
+//   depth  how many fields deep the query goes. Checked by a validation rule from
+//          graphql-depth-limit, the same way GraphQL checks that every field exists.
+//   cost   an estimate of how much work the query is. Fields that hit the database are
+//          marked with the @cost directive in typeDefs.js, and a list's cost is its
+//          items' cost times how many items it can have (see costEstimator below).
+//          The cost depends on arguments like first, which can come from variables,
+//          so it's checked by the Apollo plugin once the variables are known.
+// The WebSocket server runs both checks on subscriptions as well (see server.js).
+// Both limits can be changed with the QUERY_MAX_DEPTH and QUERY_MAX_COST environment
+// variables. Fields starting with __, like the introspection query Apollo Sandbox sends
+// to learn the schema, don't count.
+const { ApolloError } = require('apollo-server-express');
+const { GraphQLError, getDirectiveValues, parse } = require('graphql');
+const depthLimit = require('graphql-depth-limit');
+const { getComplexity, simpleEstimator } = require('graphql-query-complexity');
+const { MAX_PAGE_SIZE } = require('./pagination');
+
+const MAX_DEPTH = Number(process.env.QUERY_MAX_DEPTH) || 10;
+const MAX_COST = Number(process.env.QUERY_MAX_COST) || 1000;
+
+// the validation rule for the ApolloServer and the WebSocket server. graphql-depth-limit
+// names the operation in its error, which is empty for queries without a name, like most
+// of the front end's, so its errors are swapped for one that says what to do instead.
+const depthRule = context => {
+  const reportError = context.reportError.bind(context);
+
+  return depthLimit(MAX_DEPTH)(
+    Object.assign(Object.create(context), {
+      reportError: error =>
+        reportError(
+          new GraphQLError(
+            `This query is too deep. Queries can only go ${MAX_DEPTH} fields deep, so ask for fewer nested fields.`,
+            error.nodes
+          )
+        )
+    })
+  );
+};
+
+// @cost(value, listSize, multiplier) on a field in typeDefs.js. value is the cost of the
+// field itself, and the cost of the fields picked inside it is counted once for each item
+// it can return: the number in its multiplier argument if it was given, like first,
+// otherwise listSize (1 for a field that isn't a list). The multiplier is kept between 1
+// and MAX_PAGE_SIZE, the same as paginate() does with first, so first: -1000 can't take
+// the cost of the rest of the query down with it.
+const costEstimator = schema => {
+  const costDirective = schema.getDirective('cost');
+
+  return ({ field, args, childComplexity }) => {
+    const cost = field.astNode && getDirectiveValues(costDirective, field.astNode);
+
+    if (!cost) {
+      return undefined;
+    }
+
+    const multiplier = cost.multiplier && args[cost.multiplier];
+    const size = multiplier ? Math.min(Math.max(multiplier, 1), MAX_PAGE_SIZE) : cost.listSize || 1;
+    return cost.value + size * childComplexity;
+  };
+};
+
+class QueryTooComplexError extends ApolloError {
+  constructor(cost) {
+    super(
+      `This query is too expensive to run (it costs ${cost}, and the most allowed is ${MAX_COST}). ` +
+        'Ask for fewer items, or fewer nested fields.',
+      'QUERY_TOO_COMPLEX',
+      { cost, maxCost: MAX_COST }
+    );
+    Object.defineProperty(this, 'name', { value: 'QueryTooComplexError' });
+  }
+}
+
+// the cost of an operation, with its variables. Fields without @cost are free, since
+// they're already loaded along with the document they're on.
+const queryCost = (schema, { document, operationName, variables }) =>
+  getComplexity({
+    schema,
+    query: document,
+    operationName,
+    variables,
+    estimators: [costEstimator(schema), simpleEstimator({ defaultComplexity: 0 })]
+  });
+
+// a QueryTooComplexError if the operation costs more than MAX_COST, otherwise null.
+// getComplexity throws if the variables are wrong, like a required one that's missing.
+// The operation fails anyway when it runs, with the same error, so that's left to it.
+const costError = (schema, operation) => {
+  let cost;
+
+  try {
+    cost = queryCost(schema, operation);
+  } catch (e) {
+    return null;
+  }
+
+  return cost > MAX_COST ? new QueryTooComplexError(cost) : null;
+};
+
+// an Apollo Server plugin that refuses operations over MAX_COST. didResolveOperation
+// runs after the query is parsed and validated, and before any resolver runs.
+const costLimitPlugin = schema => ({
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ request, document }) {
+        const error = costError(schema, {
+          document,
+          operationName: request.operationName,
+          variables: request.variables
+        });
+
+        if (error) {
+          throw error;
+        }
+      }
+    };
+  }
+});
+
+// the same check for the WebSocket server's onSubscribe hook, which runs before a
+// subscription starts. Returning errors from it refuses the subscription, but only
+// GraphQLErrors are sent to the client properly, so the error is copied into one.
+// A query that doesn't parse is left for graphql-ws to report.
+const costLimitOnSubscribe = schema => (ctx, { payload }) => {
+  let document;
+
+  try {
+    document = parse(payload.query);
+  } catch (e) {
+    return undefined;
+  }
+
+  const error = costError(schema, {
+    document,
+    operationName: payload.operationName,
+    variables: payload.variables
+  });
+
+  return error ? [new GraphQLError(error.message, { extensions: error.extensions })] : undefined;
+};
+
+module.exports = {
+  MAX_DEPTH,
+  MAX_COST,
+  depthRule,
+  queryCost,
+  costLimitPlugin,
+  costLimitOnSubscribe,
+  QueryTooComplexError
+};
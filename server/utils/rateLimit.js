@@ -0,0 +1,207 @@
+// limits how often a mutation can be run, so a script can't guess passwords, sign up
+// thousands of accounts or flood the site with thoughts. Each limited mutation has a
+// number of calls allowed within a window of time, counted for each IP address, and for
+// each logged in user by their _id as well (see checkRateLimit below). Going over the limit
+// throws a RateLimitError, which always has the RATE_LIMITED code so the front end can
+// tell the user how long to wait.
+// The counts are kept by a store. A store is an object with three async methods:
+//   hit(key, windowMs)  adds one to the count for key and returns { count, resetAt },
+//                       starting a new window if there isn't one
+//   get(key)            the same without adding one, or null if there's no window
+//   reset(key)          forgets the count
+// Two stores come built in, picked with the RATE_LIMIT_STORE environment variable:
+//   memory  keeps the counts in the server's memory (the default). Each server process
+//           has its own counts, and they're lost when it restarts.
+//   mongo   keeps the counts in MongoDB (see models/RateLimit.js), so every server
+//           process shares them
+// Any other store, like one built on Redis, can be plugged in with setRateLimitStore().
+const { ApolloError } = require('apollo-server-express');
+const RateLimit = require('../models/RateLimit');
+
+const DUPLICATE_KEY = 11000;
+
+// how many calls each mutation allows, and the length of the window in seconds.
+// Any of them can be changed, or other mutations added, with the RATE_LIMITS
+// environment variable, as JSON like {"addThought":{"max":5,"window":60}}
+const DEFAULT_LIMITS = {
+  login: { max: 20, window: 15 * 60 },
+  addUser: { max: 5, window: 60 * 60 },
+  addThought: { max: 10, window: 60 },
+  addReaction: { max: 30, window: 60 },
+  sendMessage: { max: 30, window: 60 },
+  requestPasswordReset: { max: 5, window: 60 * 60 }
+};
+
+const LIMITS = { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS || '{}') };
+
+// after this many wrong passwords for the same email within the window (in seconds),
+// logging in to that account is locked until the window is over
+const LOGIN_LOCKOUT = { max: 5, window: 15 * 60 };
+
+class RateLimitError extends ApolloError {
+  constructor(message, retryAfter) {
+    super(message, 'RATE_LIMITED', { retryAfter });
+    Object.defineProperty(this, 'name', { value: 'RateLimitError' });
+  }
+}
+
+const memoryStore = () => {
+  const counts = new Map();
+
+  // windows that are over are cleared out every minute, so the map doesn't keep every
+  // IP address that ever visited. unref() lets the server exit without waiting on it.
+  setInterval(() => {
+    const now = Date.now();
+    counts.forEach((entry, key) => entry.resetAt <= now && counts.delete(key));
+  }, 60 * 1000).unref();
+
+  const get = async key => {
+    const entry = counts.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  };
+
+  return {
+    get,
+
+    hit: async (key, windowMs) => {
+      const entry = (await get(key)) || { count: 0, resetAt: Date.now() + windowMs };
+
+      entry.count++;
+      counts.set(key, entry);
+      return { ...entry };
+    },
+
+    reset: async key => {
+      counts.delete(key);
+    }
+  };
+};
+
+const mongoStore = () => {
+  const get = async key => {
+    const doc = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } });
+    return doc && { count: doc.count, resetAt: doc.expiresAt.getTime() };
+  };
+
+  const hit = async (key, windowMs) => {
+    const doc = await RateLimit.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (doc) {
+      return { count: doc.count, resetAt: doc.expiresAt.getTime() };
+    }
+
+    // there's no window, or only one that's over and hasn't been deleted yet, since
+    // MongoDB only clears out expired documents about once a minute
+    try {
+      const resetAt = Date.now() + windowMs;
+      await RateLimit.findOneAndUpdate(
+        { key },
+        { count: 1, expiresAt: new Date(resetAt) },
+        { upsert: true }
+      );
+      return { count: 1, resetAt };
+    } catch (e) {
+      // another request started the window at the same moment, so count this one in it
+      if (e.code === DUPLICATE_KEY) {
+        return hit(key, windowMs);
+      }
+      throw e;
+    }
+  };
+
+  return {
+    get,
+    hit,
+    reset: async key => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+const stores = { memory: memoryStore, mongo: mongoStore };
+
+let store = (stores[process.env.RATE_LIMIT_STORE] || stores.memory)();
+
+// swap in a different store, like one shared by every server in production
+const setRateLimitStore = newStore => {
+  store = newStore;
+};
+
+// "in 40 seconds" or "in 15 minutes"
+const waitTime = resetAt => {
+  const seconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+  if (seconds < 60) {
+    return { retryAfter: seconds, text: `${seconds} second${seconds === 1 ? '' : 's'}` };
+  }
+
+  const minutes = Math.ceil(seconds / 60);
+  return { retryAfter: seconds, text: `${minutes} minute${minutes === 1 ? '' : 's'}` };
+};
+
+// counts a call to the field, and throws once it's over its limit. context is the
+// request (see authMiddleware), so req.ip is the caller's IP address.
+// Logged in calls are counted for both the user and their IP address, and are limited
+// when either is over. Otherwise one address could get around the limit by spreading its
+// calls over many accounts, or one account over many addresses.
+const checkRateLimit = async (field, context) => {
+  const { max, window } = LIMITS[field];
+  const keys = context.user ? [`user:${context.user._id}`, `ip:${context.ip}`] : [`ip:${context.ip}`];
+  const counts = await Promise.all(keys.map(who => store.hit(`${field}:${who}`, window * 1000)));
+  const over = counts.filter(({ count }) => count > max);
+
+  if (over.length) {
+    const { retryAfter, text } = waitTime(Math.max(...over.map(({ resetAt }) => resetAt)));
+    throw new RateLimitError(`You're doing that too often! Try again in ${text}.`, retryAfter);
+  }
+};
+
+// wraps each of the resolvers that has a limit, so the limit is checked before the
+// resolver runs. Called on the Mutation resolvers in schemas/resolvers.js.
+const withRateLimits = resolvers => {
+  Object.keys(LIMITS).forEach(field => {
+    const resolver = resolvers[field];
+
+    if (resolver) {
+      resolvers[field] = async (parent, args, context, info) => {
+        await checkRateLimit(field, context);
+        return resolver(parent, args, context, info);
+      };
+    }
+  });
+
+  return resolvers;
+};
+
+// The rate limit on login goes by IP address, which doesn't stop someone spreading their
+// guesses out over many addresses. So wrong passwords are also counted for each email,
+// and once there are too many the account can't be logged in to for a while, even with
+// the right password.
+const loginKey = email => `login-failures:${String(email).toLowerCase()}`;
+
+const checkLoginLockout = async email => {
+  const failures = await store.get(loginKey(email));
+
+  if (failures && failures.count >= LOGIN_LOCKOUT.max) {
+    const { retryAfter, text } = waitTime(failures.resetAt);
+    throw new RateLimitError(`Too many failed login attempts! Try again in ${text}.`, retryAfter);
+  }
+};
+
+const recordLoginFailure = email => store.hit(loginKey(email), LOGIN_LOCKOUT.window * 1000);
+
+const clearLoginFailures = email => store.reset(loginKey(email));
+
+module.exports = {
+  LIMITS,
+  RateLimitError,
+  setRateLimitStore,
+  withRateLimits,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,63 @@
+// helpers for the search query. MongoDB's text indexes find the matching documents,
+// but they don't say where in the text the match is, so these functions work out a
+// short snippet around the first match and where the search terms are inside it
+// so the front end can highlight them.
+
+// how many characters of text to show on either side of the first match
+const SNIPPET_RADIUS = 60;
+
+// escape characters that have a special meaning in regular expressions, so a
+// search for "c++" doesn't turn into an invalid pattern.
+const escapeRegExp = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// splits a search query into the lowercase words it's made of, ignoring punctuation
+const searchTerms = query => {
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .map(term => term.replace(/[^\w@#-]/g, ''))
+    .filter(term => term.length);
+};
+
+// a case insensitive regular expression that matches any of the search terms
+const termsRegExp = terms => new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+
+// whether the text contains any of the search terms
+const matchesTerms = (text, terms) => {
+  return !!text && terms.length > 0 && termsRegExp(terms).test(text);
+};
+
+// returns { snippet, highlights } where snippet is a piece of the text around the
+// first search term it contains, and highlights is a list of { start, end } positions
+// of every search term inside the snippet. Text search also matches different forms
+// of a word (searching "running" finds "run"), so if none of the terms appear exactly,
+// the snippet is just the start of the text with nothing highlighted.
+const buildSnippet = (text, terms) => {
+  if (!text) {
+    return { snippet: '', highlights: [] };
+  }
+
+  const firstMatch = terms.length ? text.search(termsRegExp(terms)) : -1;
+  const start = Math.max((firstMatch === -1 ? 0 : firstMatch) - SNIPPET_RADIUS, 0);
+  const end = Math.min(start + SNIPPET_RADIUS * 2, text.length);
+
+  // add ellipses when the snippet doesn't start or end with the text
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+  const highlights = [];
+
+  if (terms.length) {
+    const regExp = termsRegExp(terms);
+    let match;
+
+    while ((match = regExp.exec(snippet)) !== null) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+module.exports = { searchTerms, matchesTerms, buildSnippet };
@@ -0,0 +1,162 @@
+// see utils/auth.js
+// JWTs only last a short time, so a stolen one isn't useful for long. To keep users from
+// being logged out every time theirs expires, each login also gets a refresh token, which
+// can be traded for a new JWT with the refreshToken mutation.
+// The refresh token is kept in an httpOnly cookie, which the browser sends with every
+// request to /graphql but JavaScript on the page can't read, so unlike the JWT in
+// localStorage it can't be stolen by a malicious script.
+const { AuthenticationError } = require('apollo-server-express');
+const { Session } = require('../models');
+const { generateSecret, hashToken } = require('./tokens');
+
+const REFRESH_COOKIE = 'refresh_token';
+
+// how long a user stays logged in on a device without using the site, in milliseconds
+const REFRESH_EXPIRATION = 30 * 24 * 60 * 60 * 1000;
+
+// how long after a refresh the refresh token it replaced is still accepted, in
+// milliseconds. See rotateSession() below.
+const ROTATION_GRACE_PERIOD = 10 * 1000;
+
+// the cookie is only sent to /graphql, only over https in production, and never along
+// with requests made from other sites.
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/graphql'
+};
+
+// a refresh token is the session's id and a random secret, so we know which session
+// to look up without searching every session for the token.
+const setRefreshCookie = (res, session, secret) => {
+  res.cookie(REFRESH_COOKIE, `${session._id}.${secret}`, {
+    ...cookieOptions,
+    maxAge: REFRESH_EXPIRATION
+  });
+};
+
+const clearRefreshCookie = res => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions);
+};
+
+// splits the refresh token from the cookie back into the session id and secret,
+// and finds the session. Returns null if there's no token or no session for it.
+const findSession = async refreshToken => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+
+  return session && { session, secret };
+};
+
+// starts a new session for a user who just logged in or signed up,
+// and gives their browser the refresh token for it.
+const createSession = async (user, res) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_EXPIRATION)
+  });
+
+  setRefreshCookie(res, session, secret);
+
+  return session;
+};
+
+// checks the refresh token from the cookie and, if it's good, replaces it with a new one.
+// Each refresh token can only be used once (this is called rotation). If an old one is
+// ever used again, someone has a copy of it that they shouldn't, so the whole session
+// is revoked and both the real user and whoever copied the token have to log in again.
+// The one exception is the token that was replaced in the last few seconds. Two tabs
+// can refresh at the same moment with the same cookie, and the second one shouldn't get
+// the user logged out. That tab gets a new JWT, but the token isn't rotated again.
+const rotateSession = async (refreshToken, res) => {
+  const found = await findSession(refreshToken);
+
+  if (!found) {
+    throw new AuthenticationError('You need to be logged in!');
+  }
+
+  const { session, secret } = found;
+  const tokenHash = hashToken(secret);
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    clearRefreshCookie(res);
+    throw new AuthenticationError('Your session has ended, please log in again');
+  }
+
+  if (tokenHash === session.tokenHash) {
+    const newSecret = generateSecret();
+
+    session.previousTokenHash = session.tokenHash;
+    session.rotatedAt = new Date();
+    session.tokenHash = hashToken(newSecret);
+    session.expiresAt = new Date(Date.now() + REFRESH_EXPIRATION);
+    await session.save();
+
+    setRefreshCookie(res, session, newSecret);
+
+    return session;
+  }
+
+  if (
+    tokenHash === session.previousTokenHash &&
+    Date.now() - session.rotatedAt < ROTATION_GRACE_PERIOD
+  ) {
+    return session;
+  }
+
+  // the token was already used, revoke the session
+  session.revokedAt = new Date();
+  await session.save();
+  clearRefreshCookie(res);
+
+  throw new AuthenticationError('Your session has ended, please log in again');
+};
+
+// ends the session the refresh token belongs to, for logging out
+const revokeSession = async (refreshToken, res) => {
+  const found = await findSession(refreshToken);
+
+  if (found && !found.session.revokedAt) {
+    found.session.revokedAt = new Date();
+    await found.session.save();
+  }
+
+  clearRefreshCookie(res);
+};
+
+// ends every session a user has, for logging out of all devices. res is left out when
+// someone else's sessions are ended, like a moderator suspending a user, so the
+// moderator's own cookie isn't cleared.
+const revokeAllSessions = async (userId, res) => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+  if (res) {
+    clearRefreshCookie(res);
+  }
+};
+
+// ends every session a user has except the one they're using right now,
+// for when they change their password
+const revokeOtherSessions = async (userId, sessionId) => {
+  await Session.updateMany(
+    { user: userId, _id: { $ne: sessionId }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions
+};
@@ -0,0 +1,99 @@
+// Checks who is on each WebSocket connection used for subscriptions (see server.js).
+// Browsers can't set headers on a WebSocket, so the front end sends its token in the
+// connectionParams when it connects instead (see client/src/App.js). connectionParams are
+// only sent once, but a socket can stay open for hours, long after that token expired or
+// its session was revoked by logging out. So:
+//   - the token is checked once, when the socket connects, and the user it holds is kept
+//     on the connection. A bad token closes the socket straight away.
+//   - the socket is closed when the token expires.
+//   - the session is checked again before every subscription starts and before every
+//     event is sent, and the socket is closed as soon as it has been revoked.
+// The socket is closed with code 4403, which tells the front end to get a new token
+// before it connects again, or to log the user out if the session is over.
+const jwt = require('jsonwebtoken');
+const { GraphQLError } = require('graphql');
+const { Session } = require('../models');
+const { getUserFromToken } = require('./auth');
+
+// the same code graphql-ws closes the socket with when onConnect refuses it
+const CLOSE_FORBIDDEN = 4403;
+
+// setTimeout can't wait longer than this, and fires right away if it's asked to
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const closeSocket = (ctx, reason) => ctx.extra.socket.close(CLOSE_FORBIDDEN, reason);
+
+// graphql-ws's onConnect hook. Sockets without a token are allowed, since anyone can
+// subscribe to public thoughts, but returning false refuses one with a bad token.
+// The user is saved on ctx.extra, which is kept for as long as the socket is open.
+const onConnect = async ctx => {
+  const token = ctx.connectionParams?.authorization;
+  ctx.extra.user = null;
+
+  if (!token) {
+    return true;
+  }
+
+  const user = await getUserFromToken(token);
+
+  if (!user) {
+    return false;
+  }
+
+  ctx.extra.user = user;
+
+  // getUserFromToken() already checked the token, so it only needs decoding here
+  const { exp } = jwt.decode(token.split(' ').pop().trim()) || {};
+
+  if (exp) {
+    ctx.extra.expiryTimer = setTimeout(
+      () => closeSocket(ctx, 'Your token has expired'),
+      Math.min(exp * 1000 - Date.now(), MAX_TIMEOUT)
+    );
+  }
+
+  return true;
+};
+
+// closes the socket if the user's session has been revoked since it connected.
+// Resolves to true if it was.
+const sessionEnded = async ctx => {
+  const { user } = ctx.extra;
+
+  if (!user || (await Session.exists({ _id: user.sessionId, revokedAt: null }))) {
+    return false;
+  }
+
+  closeSocket(ctx, 'Your session has ended');
+  return true;
+};
+
+// wraps the onSubscribe hook, so subscriptions aren't started on a revoked session.
+// Returning errors from onSubscribe refuses the subscription.
+const checkSessionOnSubscribe = onSubscribe => async (ctx, message) => {
+  if (await sessionEnded(ctx)) {
+    return [new GraphQLError('Your session has ended. Log in again.', { extensions: { code: 'UNAUTHENTICATED' } })];
+  }
+
+  return onSubscribe(ctx, message);
+};
+
+// graphql-ws's onNext hook, which runs before each event is sent. Once the socket is
+// closed nothing more is sent on it, so this doesn't return anything (returning a value
+// would send that instead of the event).
+const onNext = async ctx => {
+  await sessionEnded(ctx);
+};
+
+// graphql-ws's onClose hook, which runs however the socket was closed
+const onClose = ctx => {
+  clearTimeout(ctx.extra.expiryTimer);
+};
+
+module.exports = {
+  CLOSE_FORBIDDEN,
+  onConnect,
+  checkSessionOnSubscribe,
+  onNext,
+  onClose
+};
@@ -0,0 +1,76 @@
+// stores uploaded files, like user avatars. Where they actually end up is up to the
+// storage driver, the same way utils/mailer.js leaves sending emails up to a transport.
+// A driver is an object with three methods:
+//   save(key, buffer, contentType)  stores the file under key (async)
+//   remove(key)                     deletes the file, if it's there (async)
+//   url(key)                        the URL the browser can load the file from
+// The only driver built in saves files to a folder on the server's disk, which is
+// served by Express at /uploads (see server.js). To keep files somewhere else, like
+// a cloud storage bucket, pass a different driver to setStorage() when the server starts.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// the folder local files are saved in, server/uploads if UPLOAD_DIR isn't set
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads');
+
+// the path Express serves the upload folder on
+const UPLOAD_URL = '/uploads';
+
+// keys are made by makeKey() below, but they're checked again before touching the disk
+// so a bad key can never point outside the upload folder
+const filePath = key => {
+  if (!/^[\w-]+\/[\w.-]+$/.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return path.join(UPLOAD_DIR, key);
+};
+
+const localDriver = {
+  save: async (key, buffer) => {
+    const file = filePath(key);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+
+  remove: async key => {
+    await fs.promises.rm(filePath(key), { force: true });
+  },
+
+  url: key => `${UPLOAD_URL}/${key}`
+};
+
+let driver = localDriver;
+
+// swap in a different driver, like cloud storage in production
+const setStorage = newDriver => {
+  driver = newDriver;
+};
+
+// a new, unguessable key for a file in a folder, like avatars/5f1c...e2.webp.
+// Every upload gets a new key instead of replacing the old file, so browsers never
+// show an old cached copy.
+const makeKey = (folder, extension) =>
+  `${folder}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+
+const saveFile = (key, buffer, contentType) => driver.save(key, buffer, contentType);
+
+// Removing an old file shouldn't make the request that replaced it fail, so
+// errors are logged instead of thrown.
+const removeFile = async key => {
+  if (!key) {
+    return;
+  }
+
+  try {
+    await driver.remove(key);
+  } catch (err) {
+    console.error(`Could not remove file ${key}:`, err);
+  }
+};
+
+const fileUrl = key => (key ? driver.url(key) : null);
+
+module.exports = { UPLOAD_DIR, UPLOAD_URL, setStorage, makeKey, saveFile, removeFile, fileUrl };
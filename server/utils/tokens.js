@@ -0,0 +1,55 @@
+// random tokens for links we send by email, like password resets and email verification.
+// The token goes in the link, and only a hash of it is saved, so someone who can read
+// the database still can't use the links.
+const crypto = require('crypto');
+const { Token } = require('../models');
+
+// how long each kind of token can be used for, in milliseconds
+const TOKEN_EXPIRATION = {
+  PASSWORD_RESET: 60 * 60 * 1000,
+  EMAIL_VERIFICATION: 7 * 24 * 60 * 60 * 1000
+};
+
+// a long random string, impossible to guess
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// A fast hash is fine here, unlike for passwords, because the tokens are long and
+// random, so there's nothing to guess. Also used for refresh tokens (see utils/session.js).
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// creates a token of the given type for a user, and returns the token to put in the link.
+// Any older tokens of the same type the user hasn't used yet stop working, so only the
+// link in the latest email works.
+const createToken = async (user, type) => {
+  const secret = generateSecret();
+
+  await Token.deleteMany({ user: user._id, type, usedAt: null });
+  await Token.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + TOKEN_EXPIRATION[type])
+  });
+
+  return secret;
+};
+
+// uses up a token, and returns the id of the user it belongs to, or null if the token
+// doesn't exist, is the wrong type, has expired or was already used.
+// Finding and marking the token happen in one update, so two requests with the same
+// token at the same moment can't both use it.
+const useToken = async (secret, type) => {
+  const token = await Token.findOneAndUpdate(
+    {
+      tokenHash: hashToken(secret || ''),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() }
+  );
+
+  return token && token.user;
+};
+
+module.exports = { generateSecret, hashToken, createToken, useToken };